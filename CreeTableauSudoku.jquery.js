@@ -3,136 +3,106 @@
 
   Description (FR):
   ------------------
-  Script principal de gestion d'une grille de Sudoku 9x9 construite en HTML.
-  - Construit dynamiquement la grille (tableau HTML) et garde en cache les
-    références des cellules pour manipulation ultérieure.
-  - Permet la saisie manuelle des chiffres, la validation immédiate, le
-    masquage des cases reliées, l'affichage des candidats et la résolution
-    automatique par plusieurs stratégies (déterministes puis backtracking).
+  Script de la page CreeTableauSudoku.html : une grille de Sudoku (4x4, 6x6,
+  9x9 ou 16x16, ou Samouraï de cinq grilles 9x9) et ses commandes.
+  - Le plateau lui-même (table HTML, saisie des chiffres et des notes,
+    validation immédiate) est un composant SudokuBoard (SudokuBoard.jquery.js),
+    créé par initialisePage dans #plateau.
+  - La page y ajoute le masquage des cases reliées, l'affichage des
+    candidats, la résolution automatique par plusieurs stratégies
+    (déterministes puis backtracking), les indices, l'historique, les
+    sauvegardes, l'import/export et la bibliothèque de grilles.
 
   Points importants:
+  - L'état de la grille (valeurs, cases fixes, candidats) est tenu par le
+    modèle `grille` (classe GrilleSudoku de MoteurSudoku.js) du plateau ; les
+    cellules <td> ne font qu'afficher ce modèle. MoteurSudoku.js,
+    NotificationsSudoku.js, SudokuBoard.jquery.js et StatistiquesSudoku.js
+    sont à charger avant ce fichier.
+  - Les messages à l'utilisateur et les erreurs (blocs catch, par
+    signaleErreur) passent par NotificationsSudoku.js : toasts non bloquants
+    et journal des erreurs, sans fenêtre alert().
   - Toutes les fonctions modifient le DOM via jQuery et utilisent des classes
     CSS pour indiquer l'état des cellules (ex. 'valid', 'error', 'sudoku-cell-readonly').
   - Les identifiants des cellules suivent un format fixe (ex. T00R00C00) qui
-    permet d'extraire la ligne et la colonne par sous-chaîne.
+    permet d'extraire la ligne et la colonne par sous-chaîne. La table couvre
+    tout le plateau du modèle ; en Samouraï, les cellules entre les grilles
+    (classe 'hors-grille') ne sont pas des cases et restent hors de `elements`.
+  - Le plateau signale les saisies du joueur par ses évènements 'cellchange'
+    (historique, sauvegarde) et 'solved' (victoire), les déplacements du
+    curseur clavier par 'cursormove' (affichage des candidats, comme au
+    survol), le mode notes basculé au clavier par 'notesmode' et les
+    saisies en conflit par 'conflict' (compteur d'erreurs).
   - Le résolveur combine : remplissage par candidat unique, essais contrôlés,
-    puis backtracking aléatoire avec limite d'itérations.
+    puis recherche exhaustive (backtracking complet). Ces stratégies sont
+    implémentées dans MoteurSudoku.js et ne manipulent que le modèle.
 
   Liste synthétique des fonctions principales (FR) :
-  - CreeTableau(...) : construit la table HTML et initialise `elements`.
-  - formatteNombre(...) : utilitaire pour formater les portions numériques des ids.
-  - formatteCases() : attache les gestionnaires d'évènements aux cellules.
-  - updateCell() : validation et mise à jour visuelle lors de la saisie.
+  - initialisePage() : crée le plateau et attache les gestionnaires de la page.
+  - apresSaisie(...) : suite d'une saisie du joueur (évènement 'cellchange' du plateau).
+  - suitCurseur(...) : candidats et chiffre de la case du curseur clavier (évènement 'cursormove').
   - flyOverCell()/flyOutOfCell() : survol des cellules, affichage des candidats ou mise en évidence.
-  - lireFichierTexte(elem) : lit un fichier texte de grille et remplit la grille.
-  - resoudreGrille(), resoudre1/2/3() : enchaînement des stratégies de résolution.
-  - composeLigne/composeColonne/composeCarre : calcul des indices des cases reliées.
-  - contenuCasesReliees : renvoie les valeurs actuelles des cases reliées à une cellule.
+  - changeTaille(...)/changeVariante(...)/changePlateau(...) : reconstruit le plateau pour
+    une autre taille de grille ou une variante de règles (X, Hyper, Jigsaw, Killer, Samouraï).
+  - lireFichierTexte(elem)/importeTexte(...) : lit un fichier ou le presse-papiers (grille
+    simple, ligne d'un caractère par case, .sdk, collection ou fichier de variante),
+    vérifie la grille, la charge (en changeant de taille si besoin) et affiche sa note.
+  - exporteGrille()/copieGrille() : export de la grille (un chiffre par ligne, ligne d'un
+    caractère par case ou JSON) en téléchargement ou dans le presse-papiers.
+  - donneIndice()/accepteIndice()/effaceIndice() : indice expliqué (prochaine déduction logique).
+  - enregistreEtat()/annule()/retablit()/revientDernierEtatCorrect() : historique des coups
+    (annuler/rétablir, Ctrl+Z / Ctrl+Y).
+  - sauvegardeAuto()/proposeReprise()/enregistreSous()/ouvreEmplacement() : sauvegarde de la
+    partie dans le localStorage, reprise à l'ouverture et emplacements nommés.
+  - afficheBibliotheque()/ouvreGrilleBibliotheque(...)/grilleSuivanteNonResolue() : panneau
+    des grilles fournies (Grilles/bibliotheque.js) avec note, nombre de données et état.
+  - epureGrille()/genereGrille(...)/grilleDuJour() : nouvelle grille à solution unique,
+    reproductible d'après sa graine (la date pour la grille du jour).
+  - partageGrille()/chargeLienPartage() : lien de la grille (et des saisies) dans l'adresse
+    de la page, relu à l'ouverture comme un fichier.
+  - resoudreGrille() : résolution par les stratégies successives de completeGrille
+    (MoteurSudoku.js), dont la dernière est une recherche exhaustive.
+  - verifieGrille()/afficheDiagnostic(...) : diagnostic d'une grille fausse ou insoluble
+    (doublons, impasses, données contradictoires), pour retrouver une faute de saisie.
+  - lanceLecture()/basculeLecture()/etapeSuivante()/etapePrecedente()/fermeLecture() :
+    résolution rejouée pas à pas sur le plateau, action par action.
+  - lanceCalcul(...)/annuleCalcul() : résolution, comptage des solutions et génération
+    dans le Web Worker TravailleurSudoku.js, avec progression, annulation et délai maximal.
+  - casesReliees/contenuCasesReliees : indices et valeurs actuelles des cases reliées à une cellule.
+  - afficheGrille()/afficheCase(...)/indexCase(...) : rendu du modèle dans les <td> (chiffre ou
+    notes en mini-grille) et correspondance cellule -> indice, par le plateau.
+  - notesAutomatiques() : notes automatiques (le mode notes est une option du plateau).
+  - nouvellePartie(...)/afficheVictoire() : chronomètre, erreurs et indices de la partie,
+    écran de victoire et statistiques personnelles (StatistiquesSudoku.js).
+  - majCompteurChiffres()/surligneChiffre(...) : panneau des chiffres restant à placer et mise en
+    évidence d'un chiffre (cases qui le portent, cases où il est candidat).
 
   Remarques pratiques :
   - Enregistrez les fichiers en UTF-8 (sans BOM) pour éviter des problèmes d'accents.
-  - Le script suppose `vChiffres = '123456789'` pour une grille 9x9.
+  - `vChiffres` (défini dans la page) donne la taille courante : '1234', '123456',
+    '123456789' ou '123456789ABCDEFG' (voir CHIFFRES_TAILLES dans MoteurSudoku.js).
   - Les fichiers fournis sont destinés à être exécutés dans un navigateur moderne.
 */
 
-// Tableau `elements` et nombre total de cellules générées.
-// `elements` contient les références vers tous les éléments <td> créés par `CreeTableau`.
-// `nbCells` est la longueur de ce tableau et représente le nombre total de cases du Sudoku.
+// `plateau` est le composant SudokuBoard de la page. Pour les fonctions de la
+// page, `elements` (cellules <td> du plateau, dans l'ordre des cases),
+// `nbCells` (nombre de cases) et `grille` (modèle GrilleSudoku dont
+// `elements` est le rendu) en sont des raccourcis, remis à jour par
+// alignePlateau à chaque reconstruction.
+// `varianteCourante` est la variante de règles du plateau (voir VARIANTES).
+let plateau;
 let elements;
 let nbCells;
+let grille;
+let varianteCourante = { type: 'classique' };
 
-/**
- * CreeTableau
- * Construit dynamiquement une grille HTML (éléments <table>/<tbody>/<tr>/<td>)
- * et l'ajoute au document. Les cellules créées sont référencées dans la
- * variable globale `elements` pour être manipulées ensuite.
- *
- * Paramètres:
- *  - pNumTab : index de la table (sert à nommer les éléments de façon unique)
- *  - pNbLig  : nombre de lignes à créer
- *  - pNbcol  : nombre de colonnes à créer
- *  - pHeader : tableau optionnel contenant le texte des en-têtes (ajoute une ligne <th>)
- *  - pEdit   : booléen indiquant si les cellules doivent être éditables (contentEditable)
- *
- * Chaque cellule reçoit un id construit via `formatteNombre` (ex. T00R00C00) pour
- * permettre un repérage facile ligne/colonne dans le code.
- */
-function CreeTableau(pNumTab, pNbLig, pNbcol, pHeader, pEdit) {
-    try {
-        let ordre = 0; // offset utilisé lorsque une ligne d'entête est présente
-        const idDiv = 'div-' + formatteNombre(pNumTab, '0', 2);
-        const $myDiv = $('<div>').attr('id', idDiv);
-        $('body').append($myDiv);
-
-        const idTab = 'T' + formatteNombre(pNumTab, '0', 2);
-        const $elemTable = $('<table>').attr('id', idTab);
-        $myDiv.append($elemTable);
-
-        const $elemThead = $('<thead>');
-        $elemTable.append($elemThead);
-        const $elemTbody = $('<tbody>');
-        $elemTable.append($elemTbody);
-
-        // Si un tableau d'entête est fourni, on crée une première ligne <th>
-        if (Array.isArray(pHeader)) {
-            const idTr = idTab + 'R' + formatteNombre(0, '0', 2);
-            const $elemTr = $('<tr>').attr('id', idTr);
-            $elemTbody.append($elemTr);
-            for (let j = 0; j < pNbcol; j++) {
-                const idTh = idTr + 'H' + formatteNombre(j, '0', 2);
-                const $elemTh = $('<th>')
-                    .attr('id', idTh)
-                    .attr('contenteditable', 'false')
-                    .text(pHeader[j]);
-                $elemTr.append($elemTh);
-            }
-            $myDiv.append($elemThead);
-            ordre = 1; // décale l'indexation des lignes suivantes
-        }
-
-        // Création des lignes et cellules demandées
-        if (pNbLig > 0) {
-            for (let i = ordre; i < pNbLig + ordre; i++) {
-                const idTr = idTab + 'R' + formatteNombre(i, '0', 2);
-                const $elemTr = $('<tr>').attr('id', idTr);
-                $elemTbody.append($elemTr);
-                for (let j = 0; j < pNbcol; j++) {
-                    const idTd = idTr + 'C' + formatteNombre(j, '0', 2);
-                    const $elemTd = $('<td>')
-                        .attr('id', idTd)
-                        .attr('contenteditable', pEdit.toString());
-                    $elemTr.append($elemTd);
-                }
-            }
-        }
-
-        // Mise en cache des <td> créés pour usage ultérieur
-        elements = $elemTable.find('td').toArray();
+function alignePlateau() {
+    try {
+        elements = plateau.elements;
         nbCells = elements.length;
-        for (let i = 0; i < nbCells; i++) {
-            $(elements[i]).text('');
-        }
+        grille = plateau.grille;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('creeTableau ' + err.name + ' ' + err.message);
-        } else {
-            alert('Error ' + String(err));
-        }
-    }
-
-    // Fonction utilitaire interne : ajoute des caractères de remplissage
-    // aux parties numériques des identifiants afin d'obtenir une longueur fixe
-    function formatteNombre(pNombre, pCar, pLong) {
-        try {
-            const resultat = pNombre.toString();
-            return resultat.padStart(pLong, pCar);
-        } catch (err) {
-            if (err instanceof Error) {
-                alert('formatteNombre  ' + err.name + ' ' + err.message);
-            } else {
-                alert('formatteNombre ' + String(err));
-            }
-        }
+        signaleErreur('alignePlateau', err);
     }
 }
 
@@ -141,26 +111,120 @@ function CreeTableau(pNumTab, pNbLig, pNbcol, pHeader, pEdit) {
   - vCasesRelieesChecked : indique si le mode "montrer les cases reliées" a été activé
   - strValues            : chaîne temporaire utilisée pour agréger les valeurs lors du calcul des possibilités
   - visuCP               : vrai si l'affichage du nombre de possibilités est actif
-  - dejaPleine           : mémorise si la grille était déjà pleine au moment du chargement
+  - indiceCourant        : indice affiché en attente d'acceptation (null sinon)
+  - chiffreSurligne      : chiffre mis en évidence sur la grille ('' : aucun)
 */
 let vCasesRelieesChecked = false;
 let strValues = '';
 let visuCP = false;
-let dejaPleine;
-function extraitLigneEtColonne(pId) {
+let indiceCourant = null;
+let chiffreSurligne = '';
+function changePlateau(pChiffres, pVariante) {
     try {
-        // Le format d'id attendu encode la ligne et la colonne en positions fixes
-        // Exemple : T00R00C00 -> la sous-chaîne ligne est en 3..5, colonne en 6..8
-        const lig = Number.parseInt(pId.substring(4, 7));
-        const col = Number.parseInt(pId.substring(7, 10));
-        return [lig, col];
+        // Remplace le plateau par une grille vide de chiffres `pChiffres` et de
+        // variante `pVariante`. Les états de l'historique n'ont plus la bonne
+        // forme : il repart de la grille vide. Retourne faux si le plateau avait
+        // déjà cette forme : il n'est alors ni reconstruit ni vidé.
+        if (pChiffres === vChiffres && JSON.stringify(pVariante) === JSON.stringify(varianteCourante)) {
+            return false;
+        }
+        effaceIndice();
+        vChiffres = pChiffres;
+        lngChiffres = vChiffres.length;
+        chiffreSurligne = '';
+        varianteCourante = pVariante;
+        plateau.creeTableau(vChiffres, varianteCourante);
+        alignePlateau();
+        $('#taille').val(String(lngChiffres));
+        $('#variante').val(varianteCourante.type);
+        $('#formatExport option[value="ligne"]').text('Une ligne de ' + nbCells + ' caractères');
+        visuCP = false;
+        historique = [];
+        posHistorique = -1;
+        razGrille(true);
+        return true;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('extraitLigneEtColonne  ' + err.name + ' ' + err.message);
-        } else {
-            alert('extraitLigneEtColonne ' + String(err));
+        signaleErreur('changePlateau', err);
+        return false;
+    }
+}
+function changeTaille(pTaille) {
+    try {
+        // Nouvelle taille (4, 6, 9 ou 16). Les zones et cages ne valent que
+        // pour leur taille : un plateau Jigsaw ou Killer redevient classique,
+        // de même qu'une variante limitée à d'autres tailles (Hyper, Samouraï).
+        const vType = ['jigsaw', 'killer'].includes(varianteCourante.type) || !varianteAutorisee(varianteCourante.type, pTaille)
+            ? 'classique'
+            : varianteCourante.type;
+        changePlateau(CHIFFRES_TAILLES[pTaille], { type: vType });
+    } catch (err) {
+        signaleErreur('changeTaille', err);
+    }
+}
+// Tailles permises des variantes qui ne les acceptent pas toutes : les fenêtres
+// de l'Hyper 16x16 rendent la grille quasi impossible à remplir, et le
+// Samouraï n'est proposé qu'avec des grilles 9x9.
+const TAILLES_VARIANTES = { hyper: [4, 6, 9], samurai: [9] };
+function varianteAutorisee(pType, pTaille) {
+    return TAILLES_VARIANTES[pType] === undefined || TAILLES_VARIANTES[pType].includes(pTaille);
+}
+function messageTaillesVariante(pType) {
+    return VARIANTES[pType] + ' : grilles ' + TAILLES_VARIANTES[pType].map(t => t + 'x' + t).join(', ') + ' seulement.';
+}
+function changeVariante(pType) {
+    try {
+        // Variante choisie dans #variante. Jigsaw et Killer ont besoin d'un plan
+        // (zones ou cages) : ils ne s'obtiennent qu'en chargeant un fichier.
+        if (pType === varianteCourante.type) {
+            return;
+        }
+        if (['jigsaw', 'killer'].includes(pType)) {
+            notifie('info', 'Les grilles ' + VARIANTES[pType] + ' se chargent depuis un fichier (exemples dans Grilles/Variantes/).');
+            $('#variante').val(varianteCourante.type);
+            return;
         }
-        return [0, 0];
+        if (!varianteAutorisee(pType, lngChiffres)) {
+            notifie('avertissement', messageTaillesVariante(pType));
+            $('#variante').val(varianteCourante.type);
+            return;
+        }
+        changePlateau(vChiffres, { type: pType });
+    } catch (err) {
+        signaleErreur('changeVariante', err);
+    }
+}
+function indexCase(pCell) {
+    try {
+        // Indice de la cellule dans `elements` et dans le modèle `grille`.
+        return plateau.indexCase(pCell);
+    } catch (err) {
+        signaleErreur('indexCase', err);
+        return 0;
+    }
+}
+function afficheGrille() {
+    try {
+        // Recopie les valeurs (ou les notes) du modèle dans les cellules <td>.
+        plateau.afficheGrille();
+    } catch (err) {
+        signaleErreur('afficheGrille', err);
+    }
+}
+function afficheCase(pIndex) {
+    try {
+        // Chiffre ou notes de la case (voir SudokuBoard.afficheCase).
+        plateau.afficheCase(pIndex);
+    } catch (err) {
+        signaleErreur('afficheCase', err);
+    }
+}
+function texteCase(pCell) {
+    try {
+        // Texte saisi dans la cellule, sans les notes affichées.
+        return plateau.texteCase(pCell);
+    } catch (err) {
+        signaleErreur('texteCase', err);
+        return '';
     }
 }
 function razGrille(pSup) {
@@ -168,59 +232,32 @@ function razGrille(pSup) {
         // Réinitialise le titre et l'apparence des cellules : vide le contenu,
         // remet la classe CSS de base et active l'édition si demandé.
         $('#titre').text('Sudoku');
-        for (let i = 0; i < nbCells; i++) {
-            const $vCell = $(elements[i]);
-            $vCell.text('');
-            $vCell.removeClass().addClass('sudoku-cell');
-            $vCell.attr('contentEditable', 'true');
-            if (pSup) { $('#montrerCasesReliees').prop('checked', false); }
-        }
+        effaceIndice();
+        plateau.reset();
+        nomFichier = '';
+        nouvellePartie('');
+        if (pSup) { $('#montrerCasesReliees').prop('checked', false); }
+        enregistreEtat();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('razGrille  ' + err.name + ' ' + err.message);
-        } else {
-            alert('razGrille ' + String(err));
-        }
+        signaleErreur('razGrille', err);
     }
 }
 function grillePleine() {
     try {
-        // Retourne vrai si toutes les cellules contiennent un texte non vide.
-        let resultat = true;
-        for (let i = 0; i < nbCells; i++) {
-            if ($(elements[i]).text() == '') {
-                resultat = false;
-                break;
-            }
-        }
-        return resultat;
+        // Retourne vrai si toutes les cases du modèle contiennent un chiffre.
+        return grille.estPleine();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('grillePleine  ' + err.name + ' ' + err.message);
-        } else {
-            alert('grillePleine ' + String(err));
-        }
+        signaleErreur('grillePleine', err);
         return false;
     }
 }
 function grilleValide() {
     try {
-        // Retourne vrai si toutes les cellules ont été marquées comme valides
-        // (classe CSS 'valid'). Utile pour vérifier qu'une grille complète est correcte.
-        let resultat = true;
-        for (let i = 0; i < nbCells; i++) {
-            if (!$(elements[i]).hasClass('valid')) {
-                resultat = false;
-                break;
-            }
-        }
-        return resultat;
+        // Retourne vrai si la grille est complète et ne contient aucun doublon.
+        // Utile pour vérifier qu'une grille complète est correcte.
+        return grille.estPleine() && grille.estCoherente();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('grilleValide  ' + err.name + ' ' + err.message);
-        } else {
-            alert('grilleValide ' + String(err));
-        }
+        signaleErreur('grilleValide', err);
         return false;
     }
 }
@@ -236,84 +273,82 @@ function youpie() {
             }
         }
     } catch (err) {
-        if (err instanceof Error) {
-            alert('youpie  ' + err.name + ' ' + err.message);
-        } else {
-            alert('youpie ' + String(err));
-        }
-    }
-}
-function isValidEntry(id, value) {
-    try {
-        // Vérifie si l'insertion de `value` dans la cellule identifiée par `id`
-        // violerait les contraintes de base du Sudoku (doublon dans la ligne,
-        // colonne ou carré). Renvoie vrai si `value` est un seul caractère et
-        // n'apparaît pas déjà dans les cases reliées.
-        let vCCR = contenuCasesReliees($('#' + id)[0]);
-        const resultat = !vCCR.includes(value) && value.length === 1;
-        return resultat;
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('isValidEntry  ' + err.name + ' ' + err.message);
-        } else {
-            alert('isValidEntry ' + String(err));
-        }
-        return false;
+        signaleErreur('youpie', err);
     }
 }
-function complemente(pValues) {
+function victoire() {
     try {
-        // À partir d'une chaîne contenant les chiffres présents (ex. '139'),
-        // renvoie la « complémentaire » : les chiffres absents parmi ceux
-        // autorisés (`vChiffres`). Utilisé pour afficher les candidats.
-        let resultat = '';
-        for (let i = 1; i <= lngChiffres; i++) {
-            if (pValues.indexOf(i.toString()) === -1) {
-                resultat += i.toString() + ' ';
-            }
-        }
-        return resultat;
+        // Grille complétée par le joueur : célébration, écran de victoire et
+        // statistiques, et la grille est marquée résolue si elle vient de la
+        // bibliothèque.
+        youpie();
+        $('#titre').text("Sudoku : Bravo c'est gagné !");
+        marqueEtatBibliotheque(nomFichier, 'résolue');
+        afficheVictoire();
+        sauvegardeAuto();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('complemente ' + err.name + ' ' + err.message);
-        } else {
-            alert('complemente ' + String(err));
-        }
-        return '';
+        signaleErreur('victoire', err);
     }
 }
 function bloqueCells() {
     try {
-        // Verrouille (rend non éditables) toutes les cellules remplies et marquées
-        // comme 'valid'. Utilisé pour protéger les valeurs de départ (givens).
-        for (let i = 0; i < nbCells; i++) {
-            const $vCell = $(elements[i]);
-            if ($vCell.text() !== '' && $vCell.hasClass('valid')) {
-                $vCell.removeClass().addClass('sudoku-cell-readonly');
-                $vCell.attr('contentEditable', 'false');
-            }
-        }
+        // Verrouille (rend non éditables) toutes les cellules remplies sans
+        // conflit. Utilisé pour protéger les valeurs de départ (givens).
+        plateau.lock();
+        enregistreEtat();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('bloqueCells ' + err.name + ' ' + err.message);
-        } else {
-            alert('bloqueCells ' + String(err));
-        }
+        signaleErreur('bloqueCells', err);
     }
 }
-function formatteCases() {
+function initialisePage() {
     try {
-        for (let i = 0; i < nbCells; i++) {
-            const $vCell = $(elements[i]);
-            $vCell.on('mouseover', flyOverCell);
-            $vCell.on('mouseout', flyOutOfCell);
-            $vCell.on('input', updateCell);
-            $vCell.css('caretColor', 'black');
-            $vCell.text('');
-        }
+        // Crée le plateau dans #plateau, puis branche la page sur ses
+        // évènements et ses cellules (gestionnaires délégués à #plateau, qui
+        // survivent aux reconstructions du plateau).
+        plateau = new SudokuBoard('#plateau', {
+            numero: 0,
+            chiffres: vChiffres,
+            variante: varianteCourante,
+            modeNotes: $('#modeNotes').prop('checked'),
+            effaceNotesReliees: $('#effaceNotesReliees').prop('checked'),
+            pave: true
+        });
+        alignePlateau();
+        plateau.on('cellchange', apresSaisie);
+        plateau.on('cursormove', suitCurseur);
+        plateau.on('notesmode', function (e, pDetail) {
+            $('#modeNotes').prop('checked', pDetail.actif);
+        });
+        plateau.on('cellchange conflict', compteErreur);
+        plateau.on('solved', function (e, pDetail) {
+            if (!pDetail.parResolveur) {
+                victoire();
+            }
+        });
+        // Le survol ne vaut que pour une souris : sur écran tactile, les
+        // candidats et les cases reliées suivent la case sélectionnée
+        // (évènement 'cursormove').
+        if (window.matchMedia === undefined || window.matchMedia('(hover: hover)').matches) {
+            $('#plateau').on('mouseover', 'td:not(.hors-grille)', flyOverCell);
+            $('#plateau').on('mouseout', 'td:not(.hors-grille)', flyOutOfCell);
+        }
+        $('#compteurChiffres').on('click', '.compteur-chiffre', function () {
+            const vChiffre = $(this).attr('data-chiffre');
+            surligneChiffre(vChiffre === chiffreSurligne ? '' : vChiffre);
+        });
+        $('#modeNotes').on('change', function () {
+            plateau.definitModeNotes($(this).prop('checked'));
+        });
+        $('#effaceNotesReliees').on('change', function () {
+            plateau.options.effaceNotesReliees = $(this).prop('checked');
+        });
+        $('#taille').val(String(lngChiffres));
+        $('#variante').val(varianteCourante.type);
         $('#chargeGrille').on('change', function () {
             lireFichierTexte(this);
         });
+        $(document).on('keydown', raccourcisHistorique);
+        $(document).on('paste', collerGrille);
         $('#montrerCasesReliees').on('change', function () {
             if ($(this).prop('checked') === true) {
                 razGrille(false);
@@ -324,58 +359,63 @@ function formatteCases() {
         // Ajoute les informations du navigateur détecté dans le DOM (utile
         // pour le débogage ou l'affichage d'informations sur l'environnement).
         $('#Navigator').text($('#Navigator').text() + navigateur());
+        $(window).on('beforeunload', sauvegardeAuto);
+        $(document).on('visibilitychange', changeVisibilite);
+        setInterval(afficheChrono, 1000);
+        majListeEmplacements();
+        if (!chargeLienPartage()) {
+            proposeReprise();
+        }
+        $(window).on('hashchange', chargeLienPartage);
+        enregistreEtat();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('formatteCases ' + err.name + ' ' + err.message);
-        } else {
-            alert('formatteCases ' + String(err));
-        }
+        signaleErreur('initialisePage', err);
     }
 }
-function updateCell() {
+function apresSaisie(e, pDetail) {
     try {
-        // Appelée lorsqu'une cellule est modifiée par l'utilisateur.
-        // Valide la nouvelle valeur et met à jour les classes CSS pour indiquer
-        // l'état (erreur, valide ou cellule vide).
-        let $pCell = $(this);
+        // Le plateau a pris en compte une saisie du joueur (chiffre, effacement
+        // ou note) : l'indice affiché n'a plus cours et l'état est enregistré.
+        // Un chiffre placé dans la case sélectionnée devient le chiffre mis en
+        // évidence.
         strValues = '';
-        // Empêche la saisie multilignes (touche Entrée)
-        if ($pCell.text().indexOf('\n') !== -1) {
-            $pCell.text('');
-        }
-        const id = $pCell.attr('id');
-        const value = $pCell.text();
-        // Réinitialise les classes et applique l'état correspondant :
-        // - 'error' si la saisie est invalide
-        // - 'valid' si la saisie est correcte
-        // - 'sudoku-cell' si vide
-        $pCell.removeClass();
-        if (value !== '') {
-            // La saisie est invalide si ce n'est pas un chiffre autorisé unique
-            if (!isValidEntry(id, value) || vChiffres.indexOf(value) === -1 || value.length > 1) {
-                $pCell.addClass('error');
-            } else {
-                $pCell.addClass('valid');
-                // Si la grille est maintenant pleine et ne l'était pas à l'ouverture,
-                // afficher l'animation/message de victoire.
-                if (grillePleine() && !dejaPleine) {
-                    youpie();
-                    $('#titre').text("Sudoku : Bravo c'est gagné !");
-                }
-            }
-        } else {
-            $pCell.addClass('sudoku-cell');
+        effaceIndice();
+        partieCommencee = true;
+        if (pDetail.valeur !== 0 && pDetail.index === plateau.curseur) {
+            chiffreSurligne = pDetail.chiffre;
+        }
+        enregistreEtat();
+        if (plateau.curseur >= 0) {
+            flyOverCell.call(elements[plateau.curseur]);
         }
     } catch (err) {
-        if (err instanceof Error) {
-            alert('updateCell ' + err.name + ' ' + err.message);
+        signaleErreur('apresSaisie', err);
+    }
+}
+function suitCurseur(e, pDetail) {
+    try {
+        // Le curseur clavier montre les candidats (ou les cases reliées) de sa
+        // case comme le survol de la souris ; flyOutOfCell revient au curseur.
+        if (pDetail.precedent >= 0) {
+            flyOutOfCell.call(elements[pDetail.precedent]);
         } else {
-            alert('updateCell ' + String(err));
+            flyOverCell.call(elements[pDetail.index]);
         }
+        // Une case remplie met son chiffre en évidence sur toute la grille.
+        if (grille.valeur(pDetail.index) !== 0) {
+            surligneChiffre(grille.chiffre(pDetail.index));
+        }
+    } catch (err) {
+        signaleErreur('suitCurseur', err);
     }
 }
 function flyOverCell() {
     try {
+        // Pendant l'affichage d'un indice, le survol ne doit pas effacer
+        // la mise en évidence ni l'explication.
+        if (indiceCourant !== null) {
+            return;
+        }
         if ($('#montrerCasesReliees').prop('checked')) {
             // Si l'option "Montrer les cases reliées" est cochée, on met en
             // évidence les cases de la même ligne/colonne/carré et on les rend
@@ -390,10 +430,6 @@ function flyOverCell() {
             }
             $(this).removeClass().addClass('cellule').attr('contentEditable', 'false');
         } else {
-            strValues = '';
-            const position = extraitLigneEtColonne($(this).attr('id'));
-            const row = position[0];
-            const col = position[1];
             const $eVs = $('#chiffresDispo');
             for (let i = 0; i < nbCells; i++) {
                 const $vCell = $(elements[i]);
@@ -401,30 +437,10 @@ function flyOverCell() {
                     $vCell.attr('contentEditable', 'true');
                 }
             }
-            if ($(this).text() === '') {
-                for (let i = 0; i < lngChiffres; i++) {
-                    const $vCell = $(elements[row * lngChiffres + i]);
-                    if (!strValues.includes($vCell.text())) {
-                        strValues += $vCell.text();
-                    }
-                }
-                for (let i = 0; i < lngChiffres; i++) {
-                    const $vCell = $(elements[i * lngChiffres + col]);
-                    if (!strValues.includes($vCell.text())) {
-                        strValues += $vCell.text();
-                    }
-                }
-                for (let i = 0; i < 3; i++) {
-                    const startRow = row - (row % 3);
-                    const startCol = col - (col % 3);
-                    for (let j = 0; j < 3; j++) {
-                        const $vCell = $(elements[(startRow + i) * lngChiffres + startCol + j]);
-                        if (!strValues.includes($vCell.text())) {
-                            strValues += $vCell.text();
-                        }
-                    }
-                }
-                $eVs.text('Chiffre(s) possible(s) : ' + complemente(strValues));
+            if (texteCase(this) === '') {
+                // Candidats du modèle : ils tiennent compte de la variante
+                // (diagonales, fenêtres, zones, sommes des cages).
+                $eVs.text('Chiffre(s) possible(s) : ' + ChiffresPossibles1C(this).split('').join(' ') + ' ');
             } else {
                 if (vCasesRelieesChecked === false) {
                     $eVs.text('Chiffre(s) possibles : Non disponible(s)');
@@ -432,15 +448,14 @@ function flyOverCell() {
             }
         }
     } catch (err) {
-        if (err instanceof Error) {
-            alert('flyOverCell ' + err.name + ' ' + err.message);
-        } else {
-            alert('flyOverCell ' + String(err));
-        }
+        signaleErreur('flyOverCell', err);
     }
 }
 function flyOutOfCell() {
     try {
+        if (indiceCourant !== null) {
+            return;
+        }
         if ($('#montrerCasesReliees').prop('checked')) {
             // Restaure l'apparence des cellules qui avaient été mises en évidence
             // lors du survol.
@@ -455,12 +470,13 @@ function flyOutOfCell() {
         } else {
             $('#chiffresDispo').text('');
         }
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('flyOutOfCell ' + err.name + ' ' + err.message);
-        } else {
-            alert('flyOutOfCell ' + String(err));
+        // La souris quitte la case : l'affichage revient à la case du curseur
+        // clavier, s'il y en a un.
+        if (plateau.curseur >= 0) {
+            flyOverCell.call(elements[plateau.curseur]);
         }
+    } catch (err) {
+        signaleErreur('flyOutOfCell', err);
     }
 }
 function navigateur() {
@@ -500,195 +516,301 @@ function navigateur() {
         }
         return ' ' + browserName + ' Version: ' + browserVersion;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('navigateur ' + err.name + ' ' + err.message);
-        } else {
-            alert('navigateur ' + String(err));
-        }
+        signaleErreur('navigateur', err);
         return '';
     }
 }
 function lireFichierTexte(elem) {
     try {
-        razGrille(true);
-        vCasesRelieesChecked = false;
-        $('#montrerCasesReliees').prop('checked', false);
-        $('#titre').text($('#titre').text() + ' : ' + elem.files[0].name);
+        // La lecture est asynchrone : la grille n'est modifiée que si le
+        // contenu du fichier est une grille complète et sans doublon.
+        // Attention : FileReader.readAsText utilise l'encodage par défaut du
+        // navigateur si aucun encodage n'est fourni.
+        const vNom = elem.files[0].name;
         const reader = new FileReader();
-        let resultat_1 = '';
         reader.onload = function (e) {
-            // Lecture du contenu du fichier et extraction des caractères numériques
-            // correspondant aux chiffres du Sudoku. Les autres caractères sont
-            // ignorés. Attention : FileReader.readAsText utilise l'encodage par
-            // défaut du navigateur si aucun encodage n'est fourni.
-            const text = e.target.result;
-            for (let i = 0; i < text.length; i++) {
-                if (vChiffres.indexOf(text[i]) !== -1) {
-                    resultat_1 += text[i];
-                } else if (text[i] === '0') {
-                    // traiter '0' comme une case vide
-                    resultat_1 += '0';
-                } else {
-                    resultat_1 += '';
-                }
-            }
-            for (let i = 0; i < resultat_1.length; i++) {
-                if (resultat_1[i] != '0') {
-                    $(elements[i]).text(resultat_1[i]);
-                } else {
-                    $(elements[i]).text('');
-                }
-            }
-            dejaPleine = grillePleine();
-            for (let i = 0; i < nbCells; i++) {
-                const $vCell = $(elements[i]);
-                if ($vCell.text() !== '') {
-                    $vCell.removeClass().addClass('valid');
-                }
-            }
-            if (!dejaPleine) {
-                bloqueCells();
-            }
+            importeTexte(e.target.result, vNom);
         };
         reader.readAsText(elem.files[0]);
         elem.value = '';
     } catch (err) {
-        if (err instanceof Error) {
-            alert('lireFichierTexte ' + err.name + ' ' + err.message);
-        } else {
-            alert('lireFichierTexte ' + String(err));
+        signaleErreur('lireFichierTexte', err);
+    }
+}
+let grillesCollection = [];
+function importeTexte(pTexte, pNom) {
+    try {
+        // Analyse un texte (fichier ou presse-papiers) pouvant contenir une ou
+        // plusieurs grilles. Une collection affiche la liste de choix
+        // #choixGrille ; une grille seule est chargée directement. La lecture
+        // (en-tête de variante, taille reconnue au nombre de cases) est celle
+        // de lisTexteGrilles, pour le plateau courant. Renvoie vrai si une
+        // grille seule a été chargée sur le plateau.
+        const vResultat = lisTexteGrilles(pTexte, vChiffres, varianteCourante);
+        if (vResultat.erreur !== null) {
+            notifie('avertissement', pNom + ' : ' + vResultat.erreur);
+            return false;
+        }
+        const vVariante = vResultat.variante;
+        if (vResultat.grilles.length === 1) {
+            $('#collection').hide();
+            const vGrille = vResultat.grilles[0];
+            return chargeGrilleTexte(vGrille.valeurs, vGrille.nom !== '' ? pNom + ' (' + vGrille.nom + ')' : pNom, vVariante);
+        }
+        grillesCollection = vResultat.grilles.map(g => ({ valeurs: g.valeurs, nom: pNom + ' — ' + g.nom, variante: vVariante }));
+        const $vChoix = $('#choixGrille').empty();
+        grillesCollection.forEach((g, k) => {
+            $vChoix.append($('<option>').val(k).text(g.nom));
+        });
+        $('#collection').show();
+        return false;
+    } catch (err) {
+        signaleErreur('importeTexte', err);
+        return false;
+    }
+}
+function choisitGrilleCollection() {
+    try {
+        const vGrille = grillesCollection[Number($('#choixGrille').val())];
+        if (vGrille !== undefined) {
+            chargeGrilleTexte(vGrille.valeurs, vGrille.nom, vGrille.variante);
         }
+    } catch (err) {
+        signaleErreur('choisitGrilleCollection', err);
     }
 }
-function initClassListGrille() {
+function chargeGrilleTexte(pValeurs, pNom, pVariante) {
     try {
+        // Vérifie la grille avant de toucher au plateau : des chiffres en double
+        // dans une ligne, une colonne ou un carré sont signalés et la grille
+        // affichée reste inchangée. Le nombre de cases donne la taille de la
+        // grille ; le plateau en change si besoin. Sans `pVariante`, la grille
+        // garde la variante courante si elle a autant de cases que le plateau.
+        // Renvoie vrai si la grille a été chargée.
+        let vVariante = pVariante;
+        if (vVariante === undefined) {
+            vVariante = pValeurs.length === grille.nbCases ? varianteCourante : { type: 'classique' };
+        }
+        const vChiffresGrille = chiffresPourNbCases(pValeurs.length, vVariante);
+        if (vChiffresGrille === null) {
+            notifie('avertissement', pNom + ' : ' + pValeurs.length + ' cases ne correspondent à aucune taille de grille.');
+            return false;
+        }
+        if (vVariante.zones && vVariante.zones.length !== pValeurs.length) {
+            notifie('avertissement', pNom + ' : les zones ne correspondent pas à une grille de ' + pValeurs.length + ' cases.');
+            return false;
+        }
+        if (!varianteAutorisee(vVariante.type, vChiffresGrille.length)) {
+            notifie('avertissement', pNom + ' : ' + messageTaillesVariante(vVariante.type));
+            return false;
+        }
+        const vTest = new GrilleSudoku(vChiffresGrille, vVariante);
+        vTest.chargeChaine(pValeurs);
+        const vConflits = vTest.conflits();
+        if (vConflits.length > 0) {
+            notifie('avertissement', pNom + ' : grille invalide, ' + vConflits.map(c => vTest.decritConflit(c)).join(' ; ') + '.');
+            return false;
+        }
+        if (!changePlateau(vChiffresGrille, vVariante)) {
+            sansHistorique(() => razGrille(true));
+        }
+        vCasesRelieesChecked = false;
+        $('#titre').text($('#titre').text() + ' : ' + pNom);
+        nomFichier = pNom;
+        grille.chargeChaine(pValeurs);
+        afficheGrille();
+        plateau.dejaPleine = grillePleine();
         for (let i = 0; i < nbCells; i++) {
             const $vCell = $(elements[i]);
-            if (!$vCell.hasClass('sudoku-cell-readonly')) {
-                if ($vCell.text() != '') {
-                    $vCell.removeClass().addClass('valid');
-                } else {
-                    $vCell.removeClass().addClass('sudoku-cell');
-                }
+            if (grille.valeur(i) !== 0) {
+                $vCell.removeClass().addClass('valid');
             }
         }
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('initClassListGrille ' + err.name + ' ' + err.message);
-        } else {
-            alert('initClassListGrille ' + String(err));
+        let vDifficulte = '';
+        if (!plateau.dejaPleine) {
+            sansHistorique(bloqueCells);
+            // Note de difficulté d'après les techniques logiques nécessaires.
+            if (grilleInitialeValide()) {
+                const vNote = noteGrille(grille);
+                $('#titre').text($('#titre').text() + ' — ' + vNote.libelle + ' (' + vNote.techniqueMax + ')');
+                vDifficulte = vNote.libelle;
+            }
         }
+        nouvellePartie(vDifficulte);
+        enregistreEtat();
+        return true;
+    } catch (err) {
+        signaleErreur('chargeGrilleTexte', err);
+        return false;
     }
 }
-let grilleSauvee1 = [];
-let grilleSauvee2 = [];
-function sauveGrille1() {
+function collePressePapiers() {
     try {
-        for (let i = 0; i < nbCells; i++) {
-            grilleSauvee1[i] = $(elements[i]).text();
-        }
+        // Lit le presse-papiers (API asynchrone du navigateur) et l'importe.
+        navigator.clipboard.readText()
+            .then(texte => importeTexte(texte, 'Presse-papiers'))
+            .catch(err => signaleErreur('collePressePapiers', err));
     } catch (err) {
-        if (err instanceof Error) {
-            alert('sauveGrille1 ' + err.name + ' ' + err.message);
-        } else {
-            alert('sauveGrille1 ' + String(err));
-        }
+        signaleErreur('collePressePapiers', err);
     }
 }
-function restaureGrille1() {
+function collerGrille(e) {
     try {
-        for (let i = 0; i < nbCells; i++) {
-            $(elements[i]).text(grilleSauvee1[i]);
+        // Ctrl+V avec plus d'un caractère dans le presse-papiers : on importe
+        // une grille au lieu de coller le texte dans une cellule. Les champs
+        // de la page (graine, nom d'emplacement, délai...) collent normalement.
+        if ($(e.target).is('input, textarea, select')) {
+            return;
         }
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('restaureGrille1 ' + err.name + ' ' + err.message);
-        } else {
-            alert('restaureGrille1 ' + String(err));
+        const vTexte = e.originalEvent.clipboardData.getData('text');
+        if (vTexte.trim().length > 1 && lecture === null && !calculEnCours()) {
+            e.preventDefault();
+            importeTexte(vTexte, 'Presse-papiers');
         }
+    } catch (err) {
+        signaleErreur('collerGrille', err);
     }
 }
-function sauveGrille2() {
+function exporteGrille() {
     try {
-        for (let i = 0; i < nbCells; i++) {
-            grilleSauvee2[i] = $(elements[i]).text();
-        }
+        // Télécharge la grille courante dans le format choisi (#formatExport).
+        const vFormat = $('#formatExport').val();
+        const vTexte = exporteTexteGrille(grille, vFormat);
+        const vBase = (nomFichier !== '' ? nomFichier.replace(/\.[^.]*$/, '') : 'grille').replace(/[\\/:*?"<>|]/g, '_');
+        const vExtension = vFormat === 'json' ? '.json' : '.txt';
+        const vType = vFormat === 'json' ? 'application/json' : 'text/plain';
+        const vUrl = URL.createObjectURL(new Blob([vTexte], { type: vType + ';charset=utf-8' }));
+        const $vLien = $('<a>').attr('href', vUrl).attr('download', vBase + vExtension);
+        $('body').append($vLien);
+        $vLien[0].click();
+        $vLien.remove();
+        URL.revokeObjectURL(vUrl);
     } catch (err) {
-        if (err instanceof Error) {
-            alert('sauveGrille2 ' + err.name + ' ' + err.message);
-        } else {
-            alert('sauveGrille2 ' + String(err));
-        }
+        signaleErreur('exporteGrille', err);
     }
 }
-function restaureGrille2() {
+function copieGrille() {
     try {
-        for (let i = 0; i < nbCells; i++) {
-            $(elements[i]).text(grilleSauvee2[i]);
-        }
+        // Copie la grille courante dans le presse-papiers, dans le format choisi.
+        navigator.clipboard.writeText(exporteTexteGrille(grille, $('#formatExport').val()))
+            .catch(err => signaleErreur('copieGrille', err));
     } catch (err) {
-        if (err instanceof Error) {
-            alert('restaureGrille2 ' + err.name + ' ' + err.message);
-        } else {
-            alert('restaureGrille2 ' + String(err));
-        }
+        signaleErreur('copieGrille', err);
     }
 }
-function listeCellulesLibres() {
+function initClassListGrille() {
     try {
-        const LCV = [];
         for (let i = 0; i < nbCells; i++) {
-            let $vCell = $(elements[i]);
-            if (!$vCell.hasClass('sudoku-cell-readonly') && $vCell.text() === '') {
-                LCV.push(i);
+            const $vCell = $(elements[i]);
+            if (!$vCell.hasClass('sudoku-cell-readonly')) {
+                if (grille.valeur(i) !== 0) {
+                    $vCell.removeClass().addClass('valid');
+                } else {
+                    $vCell.removeClass().addClass('sudoku-cell');
+                }
             }
         }
-        return LCV;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('listeCellulesLibres ' + err.name + ' ' + err.message);
-        } else {
-            alert('listeCellulesLibres ' + String(err));
-        }
+        signaleErreur('initClassListGrille', err);
+    }
+}
+function listeCellulesLibres() {
+    try {
+        return grille.casesLibres();
+    } catch (err) {
+        signaleErreur('listeCellulesLibres', err);
     }
 }
 function ChiffresPossiblesTC() {
     try {
         const vChiffresPossibles = [];
         for (let i = 0; i < nbCells; i++) {
-            const $vCell = $(elements[i]);
-            let resultat = '';
-            for (let k = 1; k <= lngChiffres; k++) {
-                if (isValidEntry($vCell.attr('id'), k.toString())) {
-                    resultat += k.toString();
-                }
-            }
-            vChiffresPossibles[i] = resultat;
+            vChiffresPossibles[i] = grille.chiffresPossibles(i);
         }
         return vChiffresPossibles;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('ChiffresPossiblesTC ' + err.name + ' ' + err.message);
-        } else {
-            alert('ChiffresPossiblesTC ' + String(err));
-        }
+        signaleErreur('ChiffresPossiblesTC', err);
     }
 }
 function ChiffresPossibles1C(pCell) {
     try {
-        let resultat = '';
-        for (let k = 1; k <= lngChiffres; k++) {
-            if (isValidEntry($(pCell).attr('id'), k.toString())) {
-                resultat += k.toString();
+        return grille.chiffresPossibles(indexCase(pCell));
+    } catch (err) {
+        signaleErreur('ChiffresPossibles1C', err);
+    }
+}
+/*
+  Panneau #compteurChiffres : un bouton par chiffre avec le nombre
+  d'exemplaires qui manquent encore. Cliquer un chiffre (ou sélectionner une
+  case remplie) met en évidence les cases qui le portent et celles où il est
+  encore candidat. Les cases sont marquées par attributs (data-meme-chiffre,
+  data-candidat), que les changements de classes ne touchent pas.
+*/
+function majCompteurChiffres() {
+    try {
+        // Une grille compte nbCells / lngChiffres exemplaires de chaque
+        // chiffre (41 en Samouraï, les cases partagées comptant une fois) ;
+        // un chiffre au complet est grisé.
+        const vAttendus = nbCells / lngChiffres;
+        const $vPanneau = $('#compteurChiffres').empty();
+        for (const c of vChiffres) {
+            const v = grille.valeurDe(c);
+            let vPlaces = 0;
+            for (let i = 0; i < nbCells; i++) {
+                if (grille.valeur(i) === v) {
+                    vPlaces++;
+                }
             }
+            const vManquants = Math.max(vAttendus - vPlaces, 0);
+            $vPanneau.append($('<button>').attr({ type: 'button', 'data-chiffre': c })
+                .attr('title', vManquants + ' ' + c + ' à placer')
+                .addClass('compteur-chiffre')
+                .toggleClass('complet', vManquants === 0)
+                .append($('<span>').addClass('chiffre').text(c), $('<span>').addClass('manquants').text(vManquants)));
+        }
+        surligneChiffre(chiffreSurligne);
+    } catch (err) {
+        signaleErreur('majCompteurChiffres', err);
+    }
+}
+function surligneChiffre(pChiffre) {
+    try {
+        // Met en évidence les cases qui portent `pChiffre` et, plus
+        // légèrement, les cases vides où il est encore candidat ('' : rien).
+        chiffreSurligne = vChiffres.includes(pChiffre) ? pChiffre : '';
+        const v = chiffreSurligne === '' ? 0 : grille.valeurDe(chiffreSurligne);
+        const vCP = v > 0 ? ChiffresPossiblesTC() : [];
+        for (let i = 0; i < nbCells; i++) {
+            const vVide = grille.valeur(i) === 0;
+            $(elements[i]).attr('data-meme-chiffre', v > 0 && grille.valeur(i) === v ? '' : null)
+                .attr('data-candidat', v > 0 && vVide && vCP[i].includes(chiffreSurligne) ? '' : null);
         }
-        return resultat;
+        $('#compteurChiffres .compteur-chiffre').each(function () {
+            $(this).toggleClass('surligne', $(this).attr('data-chiffre') === chiffreSurligne);
+        });
     } catch (err) {
-        if (err instanceof Error) {
-            alert('ChiffresPossibles1C ' + err.name + ' ' + err.message);
-        } else {
-            alert('ChiffresPossibles1C ' + String(err));
+        signaleErreur('surligneChiffre', err);
+    }
+}
+function notesAutomatiques() {
+    try {
+        // Remplit les notes de toutes les cases vides avec leurs candidats.
+        const vCP = ChiffresPossiblesTC();
+        for (let i = 0; i < nbCells; i++) {
+            if (grille.valeur(i) === 0) {
+                let vMasque = 0;
+                for (const c of vCP[i]) {
+                    vMasque |= 1 << (grille.valeurDe(c) - 1);
+                }
+                grille.notes[i] = vMasque;
+                if (!$(elements[i]).hasClass('sudoku-cell-readonly-cp')) {
+                    afficheCase(i);
+                }
+            }
         }
+        enregistreEtat();
+    } catch (err) {
+        signaleErreur('notesAutomatiques', err);
     }
 }
 function montrerNombrePossibles() {
@@ -699,7 +821,7 @@ function montrerNombrePossibles() {
             for (let i = 0; i < nbCells; i++) {
                 const $vCell = $(elements[i]);
                 if (!$vCell.hasClass('sudoku-cell-readonly')) {
-                    if ($vCell.text() === '') {
+                    if (texteCase($vCell) === '') {
                         $vCell.removeClass().addClass('sudoku-cell-readonly-cp');
                         $vCell.attr('contentEditable', false);
                         $vCell.text(vCP[i].length);
@@ -714,302 +836,1454 @@ function montrerNombrePossibles() {
                     if ($vCell.hasClass('sudoku-cell-readonly-cp')) {
                         $vCell.removeClass().addClass('sudoku-cell');
                         $vCell.attr('contentEditable', true);
-                        $vCell.text('');
+                        afficheCase(i);
                     }
                 }
             }
             visuCP = false;
         }
     } catch (err) {
-        if (err instanceof Error) {
-            alert('montrerNombrePossibles ' + err.name + ' ' + err.message);
-        } else {
-            alert('montrerNombrePossibles ' + String(err));
-        }
+        signaleErreur('montrerNombrePossibles', err);
     }
 }
 function grilleInitialeValide() {
-    for (let i = 0; i < nbCells; i++) {
-        const $vCell = $(elements[i]);
-        const value = $vCell.text();
-        if (value !== '') {
-            $vCell.text('');
-            if (!isValidEntry($vCell.attr('id'), value)) {
-                $vCell.text(value);
-                return false;
-            }
-            $vCell.text(value);
-        }
-    }
-    return true;
+    // Vrai si aucune ligne, colonne ou carré du modèle ne contient de doublon
+    // (le détail des doublons est donné par verifieGrille).
+    return grille.estCoherente();
 }
-
-function resoudreGrille(avecYoupie) {
+/*
+  Diagnostic d'une grille fausse ou insoluble (#diagnostic) : bouton
+  « Vérifier la grille », et suite d'une résolution, d'une lecture pas à pas
+  ou d'un indice impossibles. Il liste les doublons avec leur région, ou,
+  sans doublon, les impasses (case sans candidat, chiffre sans place) et les
+  données contradictoires (diagnostiqueGrille dans MoteurSudoku.js), et met
+  en évidence les cases en cause. Il disparaît à la modification suivante
+  de la grille.
+*/
+function verifieGrille() {
     try {
-        document.getElementById('montrerCasesReliees').checked = false;
-        sauveGrille2();
+        effaceDiagnostic();
         if (!grilleInitialeValide()) {
-            alert("La grille initiale contient des erreurs ou des contradictions !");
+            // Les doublons se voient sans recherche : pas de calcul.
+            afficheDiagnostic(diagnostiqueGrille(grille, () => {}));
             return;
         }
-        // Lance plusieurs stratégies de résolution successives :
-        // 1) méthodes déterministes simples (cases à candidat unique)
-        // 2) essais légers avec retour si échec
-        // 3) tentative aléatoire/backtracking limité
-        // L'objectif est d'essayer les méthodes les plus sûres avant d'utiliser
-        // une approche non déterministe.
-        resoudre1();
-        if (grillePleine()) {
-            if (avecYoupie) {
-                youpie();
-                $('#titre').text("Sudoku : Bravo c'est gagné (1) !");
+        lanceCalcul({ action: 'diagnostiquer', chiffres: grille.chiffres, variante: grille.variante, valeurs: grille.sauve() },
+            afficheDiagnostic);
+    } catch (err) {
+        signaleErreur('verifieGrille', err);
+    }
+}
+function afficheDiagnostic(pDiagnostic) {
+    try {
+        // Remplit #diagnostic avec le résultat de diagnostiqueGrille.
+        const $vListe = $('#listeDiagnostic').empty();
+        const vLignes = [];
+        const vCases = new Set();
+        const vRegions = new Set();
+        let vTitre;
+        if (pDiagnostic.conflits.length > 0) {
+            vTitre = 'La grille contient des doublons :';
+            for (const c of pDiagnostic.conflits) {
+                vLignes.push(c.texte);
+                c.cases.forEach(i => vCases.add(i));
             }
+        } else if (pDiagnostic.nombre > 0) {
+            vTitre = 'Aucune erreur : la grille a ' + (pDiagnostic.nombre === 1 ? 'une solution unique.' : 'plusieurs solutions.');
         } else {
-            restaureGrille2();
-            resoudre2();
-            if (grillePleine()) {
-				if(avecYoupie) {
-					youpie();
-					$('#titre').text("Sudoku : Bravo c'est gagné (2) !");
-				}
+            vTitre = "La grille n'a aucune solution :";
+            for (const vImpasse of pDiagnostic.impasses) {
+                vLignes.push(vImpasse.texte);
+                vImpasse.cases.forEach(i => vCases.add(i));
+                vImpasse.regions.forEach(r => vRegions.add(r));
+            }
+            if (pDiagnostic.noyau.length > 0) {
+                vLignes.push('ces ' + pDiagnostic.noyau.length + ' cases suffisent à rendre la grille insoluble, la faute est '
+                    + "l'une d'elles : " + pDiagnostic.noyau.map(i => grille.nomCase(i) + ' (' + grille.chiffre(i) + ')').join(', '));
             } else {
-                restaureGrille2();
-                resoudre3();
-                if (grillePleine()) {
-                    if (avecYoupie) {
-                        youpie();
-                        $('#titre').text("Sudoku : Bravo c'est gagné (3) !");
-					}
-					else {
-						$('#titre').text("Sudoku : Nouvelle grille aléatoire (3) !");
-					}
-                } else {
-                    alert('Résolution impossible, grille trop complexe');
-                }
+                vLignes.push('la grille est insoluble même vide : ses cages sont contradictoires');
             }
         }
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('resoudreGrille ' + err.name + ' ' + err.message);
+        $('#titreDiagnostic').text(vTitre);
+        for (const vLigne of vLignes) {
+            $vListe.append($('<li>').text(vLigne));
+        }
+        for (const r of vRegions) {
+            for (const i of grille.regions[r]) {
+                $(elements[i]).addClass('diagnostic-region');
+            }
+        }
+        for (const i of vCases) {
+            $(elements[i]).addClass('diagnostic-case');
+        }
+        for (const i of pDiagnostic.noyau) {
+            $(elements[i]).addClass('diagnostic-case');
+        }
+        $('#diagnostic').show();
+    } catch (err) {
+        signaleErreur('afficheDiagnostic', err);
+    }
+}
+function effaceDiagnostic() {
+    try {
+        $(elements).removeClass('diagnostic-case diagnostic-region');
+        $('#diagnostic').hide();
+    } catch (err) {
+        signaleErreur('effaceDiagnostic', err);
+    }
+}
+
+/*
+  Calculs longs (résolution, comptage des solutions, génération) : ils sont
+  confiés au Web Worker TravailleurSudoku.js, qui exécute executeCalcul de
+  MoteurSudoku.js pendant que la page reste utilisable. Pendant un calcul,
+  #calculEnCours montre sa progression et un bouton Annuler, le plateau est
+  inactif, et le calcul est interrompu au-delà de #delaiCalcul secondes
+  (0 : sans limite). Le résultat n'est appliqué à la grille qu'à la fin du
+  calcul, par la fonction `pSuite` de lanceCalcul. Un seul calcul à la fois.
+  Quand le navigateur refuse le worker (page ouverte en file:// dans Chrome,
+  par exemple), le calcul s'exécute dans la page : il ne peut alors être ni
+  suivi, ni annulé, ni interrompu.
+*/
+// Délai (ms) avant d'afficher #calculEnCours : un calcul court (vérification
+// d'un indice) ne fait pas clignoter la page.
+const DELAI_AFFICHAGE_CALCUL = 300;
+// `travailleur` : le Worker, null s'il reste à créer, false si le navigateur
+// le refuse. `calculCourant` : { id, demande, suite, discret, minuterie,
+// affichage }.
+let travailleur = null;
+let travailleurRepond = false;
+let calculCourant = null;
+let numeroCalcul = 0;
+function creeTravailleur() {
+    // Crée le worker au premier calcul, ou après une interruption.
+    if (travailleur === null) {
+        if (typeof Worker === 'undefined') {
+            travailleur = false;
+            return travailleur;
+        }
+        try {
+            travailleur = new Worker('TravailleurSudoku.js');
+            travailleur.onmessage = recoitCalcul;
+            travailleur.onerror = erreurTravailleur;
+        } catch (errWorker) {
+            travailleur = false;
+        }
+    }
+    return travailleur;
+}
+function arreteTravailleur() {
+    // Met fin au worker (et au calcul qu'il exécute) ; il sera recréé.
+    if (travailleur) {
+        travailleur.terminate();
+        travailleur = null;
+    }
+}
+function calculEnCours() {
+    // Vrai si un calcul demandé par le joueur est en cours (une recherche de
+    // fond ne compte pas : elle cède la place).
+    return calculCourant !== null && !calculCourant.discret;
+}
+function lanceCalcul(pDemande, pSuite, pDiscret) {
+    try {
+        // Exécute la demande `pDemande` (voir executeCalcul) puis appelle
+        // `pSuite` avec son résultat. Un calcul `pDiscret` (recherche de fond,
+        // qui ne modifie pas la grille) laisse le plateau utilisable, ne
+        // s'affiche pas et cède la place au calcul suivant.
+        if (calculCourant !== null && calculCourant.discret) {
+            arreteTravailleur();
+            termineCalcul();
+        }
+        if (calculCourant !== null) {
+            $('#chiffresDispo').text('Un calcul est déjà en cours : attendez sa fin ou annulez-le.');
+            return;
+        }
+        if (!creeTravailleur()) {
+            pSuite(executeCalcul(pDemande, () => {}));
+            return;
+        }
+        numeroCalcul++;
+        const vDelai = Number($('#delaiCalcul').val());
+        calculCourant = {
+            id: numeroCalcul,
+            demande: pDemande,
+            suite: pSuite,
+            discret: pDiscret === true,
+            minuterie: vDelai > 0 ? setTimeout(() => depasseDelai(vDelai), vDelai * 1000) : null,
+            affichage: pDiscret ? null : setTimeout(() => $('#calculEnCours').show(), DELAI_AFFICHAGE_CALCUL)
+        };
+        if (pDiscret) {
+            travailleur.postMessage({ id: numeroCalcul, demande: pDemande });
+            return;
+        }
+        $('#progressionCalcul').text('Calcul en cours');
+        // Le plateau est inerte (ni clic, ni Tab, ni saisie) jusqu'au
+        // résultat, qui sinon écraserait les chiffres saisis entre-temps.
+        if ($(document.activeElement).closest('#plateau').length > 0) {
+            document.activeElement.blur();
+        }
+        $('#plateau').prop('inert', true).addClass('calcul-en-cours');
+        travailleur.postMessage({ id: numeroCalcul, demande: pDemande });
+    } catch (err) {
+        signaleErreur('lanceCalcul', err);
+    }
+}
+function recoitCalcul(e) {
+    try {
+        // Message du worker : progression, résultat ou erreur. Les messages
+        // d'un calcul annulé entre-temps sont ignorés.
+        const vMessage = e.data;
+        if (calculCourant === null || vMessage.id !== calculCourant.id) {
+            return;
+        }
+        travailleurRepond = true;
+        if (vMessage.type === 'progression') {
+            $('#progressionCalcul').text(vMessage.texte
+                + (vMessage.avance === null ? '' : ' (' + Math.round(vMessage.avance * 100) + ' %)'));
+            return;
+        }
+        const vSuite = calculCourant.suite;
+        termineCalcul();
+        if (vMessage.type === 'erreur') {
+            notifie('erreur', vMessage.message, 'Calcul');
         } else {
-            alert('resoudreGrille ' + String(err));
+            vSuite(vMessage.resultat);
         }
+    } catch (err) {
+        signaleErreur('recoitCalcul', err);
     }
 }
-function resoudre1() {
+function erreurTravailleur(e) {
     try {
-        // Etape 1 : remplissage déterministe des cases à candidat unique.
-        // On parcourt les cases libres et on renseigne celles qui n'ont qu'un
-        // seul chiffre possible. On répète l'opération tant que des progrès sont faits.
-        let change;
-        do {
-            change = false;
-            const vLCL = listeCellulesLibres();
-            for (let i = 0; i < vLCL.length; i++) {
-                const $vCell = $(elements[vLCL[i]]);
-                const vChiffresPossibles1C = ChiffresPossibles1C($vCell[0]);
-                if (vChiffresPossibles1C.length === 1 && $vCell.text() === '') {
-                    $vCell.removeClass().addClass('valid');
-                    $vCell.text(vChiffresPossibles1C);
-                    change = true;
-                }
+        // Le worker n'a pas pu être chargé (certains navigateurs ne le
+        // signalent qu'à ce moment-là) ou s'est arrêté sur une erreur. S'il
+        // n'a jamais répondu, les calculs se feront désormais dans la page,
+        // à commencer par celui en cours.
+        e.preventDefault();
+        const vCalcul = calculCourant;
+        arreteTravailleur();
+        termineCalcul();
+        if (!travailleurRepond) {
+            travailleur = false;
+            if (vCalcul !== null) {
+                lanceCalcul(vCalcul.demande, vCalcul.suite, vCalcul.discret);
             }
-        } while (change === true);
-        initClassListGrille();
+            return;
+        }
+        notifie('erreur', e.message, 'Calcul');
     } catch (err) {
-        if (err instanceof Error) {
-            alert('resoudre1 ' + err.name + ' ' + err.message);
-        } else {
-            alert('resoudre1 ' + String(err));
-        }
-    }
-}
-function resoudre2() {
-    try {
-        // Etape 2 : essais contrôlés. Pour chaque case libre on teste tour à tour
-        // ses candidats : on sauvegarde la grille, on place un candidat, on relance
-        // la phase déterministe (resoudre1). Si cela mène à une solution complète
-        // on s'arrête, sinon on restaure et on continue.
-        const vLCL = listeCellulesLibres();
-        for (let i = 0; i < vLCL.length; i++) {
-            const $vCell = $(elements[vLCL[i]]);
-            const vCP = ChiffresPossibles1C($vCell[0]);
-            sauveGrille1();
-            for (let j = 0; j < vCP.length; j++) {
-                $vCell.text(vCP[j]);
-                resoudre1();
-                if (grillePleine()) {
-                    break;
-                } else {
-                    restaureGrille1();
-                }
+        signaleErreur('erreurTravailleur', err);
+    }
+}
+function termineCalcul() {
+    try {
+        // Fin du calcul courant, quelle qu'en soit l'issue.
+        if (calculCourant !== null) {
+            clearTimeout(calculCourant.minuterie);
+            clearTimeout(calculCourant.affichage);
+            calculCourant = null;
+        }
+        $('#calculEnCours').hide();
+        $('#plateau').prop('inert', false).removeClass('calcul-en-cours');
+    } catch (err) {
+        signaleErreur('termineCalcul', err);
+    }
+}
+function annuleCalcul() {
+    try {
+        // Bouton Annuler de #calculEnCours : la grille reste telle quelle.
+        if (calculCourant !== null) {
+            arreteTravailleur();
+            termineCalcul();
+            $('#chiffresDispo').text('Calcul annulé.');
+        }
+    } catch (err) {
+        signaleErreur('annuleCalcul', err);
+    }
+}
+function depasseDelai(pDelai) {
+    try {
+        // Une recherche de fond s'arrête sans avertir le joueur.
+        const vDiscret = calculCourant.discret;
+        arreteTravailleur();
+        termineCalcul();
+        if (vDiscret) {
+            return;
+        }
+        notifie('avertissement', 'Calcul interrompu : il a dépassé le délai de ' + pDelai + ' s (voir « Délai maximal d\'un calcul »).');
+    } catch (err) {
+        signaleErreur('depasseDelai', err);
+    }
+}
+function resoudreGrille() {
+    try {
+        document.getElementById('montrerCasesReliees').checked = false;
+        if (!grilleInitialeValide()) {
+            notifie('avertissement', 'La grille initiale contient des doublons (voir le diagnostic).');
+            verifieGrille();
+            return;
+        }
+        // Le calcul (voir completeGrille dans MoteurSudoku.js) dit d'abord
+        // s'il existe zéro, une ou plusieurs solutions (on s'arrête à 2), puis
+        // essaie les méthodes les plus simples avant la recherche exhaustive,
+        // qui aboutit toujours puisqu'une solution existe. La grille n'est
+        // remplie qu'à la fin du calcul.
+        lanceCalcul({ action: 'resoudre', chiffres: grille.chiffres, variante: grille.variante, valeurs: grille.sauve() }, r => {
+            if (r.nombre === 0) {
+                notifie('avertissement', "Résolution impossible : la grille n'a aucune solution (voir le diagnostic).");
+                verifieGrille();
+                return;
             }
+            grille.restaure(r.valeurs);
+            afficheGrille();
+            initClassListGrille();
+            if (grillePleine()) {
+                youpie();
+                $('#titre').text("Sudoku : Bravo c'est gagné (" + r.etape + ') ! ' + libelleSolutions(r.nombre));
+                abandonnePartie();
+            }
+            enregistreEtat();
+        });
+    } catch (err) {
+        signaleErreur('resoudreGrille', err);
+    }
+}
+function libelleSolutions(pNombre) {
+    // Texte affiché selon le nombre de solutions (compté jusqu'à 2).
+    if (pNombre === 0) {
+        return '(aucune solution)';
+    }
+    return pNombre === 1 ? '(solution unique)' : '(plusieurs solutions)';
+}
+/*
+  Lecture pas à pas de la résolution (#lectureResolution) : les actions du
+  résolveur (resolutionPasAPas dans MoteurSudoku.js : chiffres forcés,
+  éliminations, essais et retours en arrière, étape par étape) sont
+  calculées par le worker, puis rejouées sur le plateau, l'action courante
+  étant mise en évidence (cases et régions) et décrite dans #chiffresDispo.
+  Pendant la lecture, le plateau n'est pas modifiable et les commandes sont
+  inactives ; Fermer remet la grille d'avant la lecture. La lecture dévoile
+  la solution : comme Résoudre, elle met fin à la partie (statistiques).
+*/
+const ETAPES_LECTURE = ['', 'déductions logiques', 'essais contrôlés', 'recherche exhaustive'];
+const TYPES_LECTURE = {
+    placement: 'Chiffre forcé',
+    elimination: 'Élimination',
+    essai: 'Essai',
+    retour: 'Retour arrière',
+    solution: 'Solution'
+};
+// `lecture` : { etapes, position, depart, minuterie } pendant une lecture,
+// `position` valant -1 pour la grille de départ.
+let lecture = null;
+function lanceLecture() {
+    try {
+        // Bouton « Résolution pas à pas ».
+        document.getElementById('montrerCasesReliees').checked = false;
+        effaceIndice();
+        if (grillePleine()) {
+            $('#chiffresDispo').text('La grille est déjà remplie.');
+            return;
         }
-        initClassListGrille();
+        if (!grilleInitialeValide()) {
+            notifie('avertissement', 'La grille initiale contient des doublons (voir le diagnostic).');
+            verifieGrille();
+            return;
+        }
+        lanceCalcul({ action: 'derouler', chiffres: grille.chiffres, variante: grille.variante, valeurs: grille.sauve() }, r => {
+            if (r.nombre === 0) {
+                notifie('avertissement', "Résolution impossible : la grille n'a aucune solution (voir le diagnostic).");
+                verifieGrille();
+                return;
+            }
+            abandonnePartie();
+            lecture = { etapes: r.etapes, position: -1, depart: grille.instantane(), minuterie: null };
+            // Les notes du joueur n'ont rien à voir avec la résolution.
+            grille.notes.fill(0);
+            plateau.options.editable = false;
+            $('#commandes').prop('inert', true).addClass('lecture-en-cours');
+            $('#lectureResolution').show();
+            afficheEtapeLecture(-1);
+            $('#chiffresDispo').text(r.etapes.length + ' action(s) enregistrée(s) ' + libelleSolutions(r.nombre)
+                + (r.tronquee ? ', la fin de la recherche étant sautée' : '')
+                + ' : Lecture pour les rejouer, ou une à une avec Suivante.');
+        });
     } catch (err) {
-        if (err instanceof Error) {
-            alert('resoudre2 ' + err.name + ' ' + err.message);
-        } else {
-            alert('resoudre2 ' + String(err));
-        }
-    }
-}
-function resoudre3() {
-    try {
-        // Etape 3 : backtracking aléatoire avec limite. Méthode non déterministe
-        // : on remplit au hasard des candidats et on tente d'aboutir. Un compteur
-        // limite évite une boucle infinie.
-        const limite = 50000;
-        let count = 0;
-        sauveGrille1();
-        do {
-            let vLCL = listeCellulesLibres();
-            for (let i = 0; i < vLCL.length; i++) {
-                const $vCell = $(elements[vLCL[0]]);
-                const vCP = ChiffresPossibles1C($vCell[0]);
-                if (vCP.length === 0) {
-                    restaureGrille1();
-                    break;
-                }
-                $vCell.text(vCP[Math.floor(Math.random() * vCP.length)]);
-                vLCL = listeCellulesLibres();
+        signaleErreur('lanceLecture', err);
+    }
+}
+function afficheEtapeLecture(pPosition) {
+    try {
+        // Montre la grille après l'action `pPosition` (-1 : avant la
+        // première), met en évidence ses cases et ses régions et la décrit.
+        lecture.position = pPosition;
+        const vEtape = pPosition < 0 ? null : lecture.etapes[pPosition];
+        grille.restaure(vEtape === null ? lecture.depart.valeurs : vEtape.valeurs);
+        afficheGrille();
+        plateau.classesDepuisModele();
+        majCompteurChiffres();
+        $('#positionLecture').text((pPosition + 1) + ' / ' + lecture.etapes.length);
+        $('#lecturePrecedente').prop('disabled', pPosition < 0);
+        $('#lectureSuivante').prop('disabled', pPosition >= lecture.etapes.length - 1);
+        if (vEtape === null) {
+            $('#chiffresDispo').text('Grille de départ.');
+            return;
+        }
+        for (const r of vEtape.regions) {
+            for (const i of grille.regions[r]) {
+                $(elements[i]).addClass('indice-region');
             }
-            count++;
-        } while (!grillePleine() && count < limite)
-        initClassListGrille();
+        }
+        for (const e of vEtape.eliminations) {
+            $(elements[e.case]).addClass('lecture-elimination');
+        }
+        for (const i of vEtape.cases) {
+            $(elements[i]).addClass(vEtape.type === 'retour' ? 'lecture-retour' : 'indice-case');
+        }
+        let vTexte = 'Action ' + (pPosition + 1) + ', étape ' + vEtape.etape + ' (' + ETAPES_LECTURE[vEtape.etape] + ') — '
+            + TYPES_LECTURE[vEtape.type] + (vEtape.technique === undefined ? '' : ' (' + vEtape.technique + ')')
+            + ' : ' + vEtape.explication;
+        if (vEtape.eliminations.length > 0) {
+            const vRetraits = new Map();
+            for (const e of vEtape.eliminations) {
+                vRetraits.set(e.case, (vRetraits.get(e.case) || []).concat(grille.chiffres[e.valeur - 1]));
+            }
+            vTexte += ' (' + [...vRetraits].map(([i, c]) => c.join(', ') + ' retiré(s) de ' + grille.nomCase(i)).join(' ; ') + ')';
+        }
+        $('#chiffresDispo').text(vTexte + '.');
     } catch (err) {
-        if (err instanceof Error) {
-            alert('resoudre3 ' + err.name + ' ' + err.message);
-        } else {
-            alert('resoudre3 ' + String(err));
+        signaleErreur('afficheEtapeLecture', err);
+    }
+}
+function etapeSuivante() {
+    try {
+        if (lecture !== null && lecture.position < lecture.etapes.length - 1) {
+            afficheEtapeLecture(lecture.position + 1);
+        }
+    } catch (err) {
+        signaleErreur('etapeSuivante', err);
+    }
+}
+function etapePrecedente() {
+    try {
+        if (lecture !== null && lecture.position >= 0) {
+            pauseLecture();
+            afficheEtapeLecture(lecture.position - 1);
+        }
+    } catch (err) {
+        signaleErreur('etapePrecedente', err);
+    }
+}
+function basculeLecture() {
+    try {
+        // Bouton Lecture / Pause ; arrivée à la fin, la lecture reprend au début.
+        if (lecture.minuterie !== null) {
+            pauseLecture();
+            return;
+        }
+        if (lecture.position >= lecture.etapes.length - 1) {
+            afficheEtapeLecture(-1);
+        }
+        $('#lectureJoue').val('Pause');
+        programmeLecture();
+    } catch (err) {
+        signaleErreur('basculeLecture', err);
+    }
+}
+function programmeLecture() {
+    try {
+        // Action suivante après un délai donné par #vitesseLecture (actions par
+        // seconde), relu à chaque action : la vitesse se règle en cours de lecture.
+        lecture.minuterie = setTimeout(() => {
+            etapeSuivante();
+            if (lecture.position >= lecture.etapes.length - 1) {
+                pauseLecture();
+            } else {
+                programmeLecture();
+            }
+        }, 1000 / Number($('#vitesseLecture').val()));
+    } catch (err) {
+        signaleErreur('programmeLecture', err);
+    }
+}
+function pauseLecture() {
+    try {
+        if (lecture !== null) {
+            clearTimeout(lecture.minuterie);
+            lecture.minuterie = null;
+            $('#lectureJoue').val('Lecture');
+        }
+    } catch (err) {
+        signaleErreur('pauseLecture', err);
+    }
+}
+function fermeLecture() {
+    try {
+        // Bouton Fermer : la grille, ses notes et les commandes redeviennent
+        // ce qu'elles étaient avant la lecture.
+        if (lecture === null) {
+            return;
         }
+        pauseLecture();
+        grille.restaureInstantane(lecture.depart);
+        lecture = null;
+        plateau.options.editable = true;
+        $('#lectureResolution').hide();
+        $('#commandes').prop('inert', false).removeClass('lecture-en-cours');
+        $('#chiffresDispo').text('');
+        afficheGrille();
+        classesDepuisModele();
+        majCompteurChiffres();
+    } catch (err) {
+        signaleErreur('fermeLecture', err);
     }
 }
 function epureGrille() {
     try {
+        // Bouton « Nouvelle grille aléatoire » : la graine saisie dans #graine
+        // recrée une grille déjà générée ; sans graine, une graine est tirée
+        // au hasard (et affichée dans le titre, pour pouvoir la rejouer).
         const $NbCases = $('#nbCases');
-		resoudreGrille(false);
-        if (grillePleine() && grilleValide() && $NbCases.val().trim() !== '' && !isNaN($NbCases.val())) {
-            const traites = [];
-            const nbCases = $NbCases.val();
-            do {
-                const i = Math.floor(Math.random() * nbCells);
-                if (!traites.includes(i.toString())) {
-                    traites.push(i.toString());
-                    const $vCelli = $(elements[i]);
-                    $vCelli.removeClass().addClass('sudoku-cell');
-                    $vCelli.text('');
-                }
-            } while (traites.length < nbCases);
-            dejaPleine = false;
-            bloqueCells();
-        } else {
+        if ($NbCases.val().trim() === '' || isNaN($NbCases.val())) {
             $NbCases.val('');
+            return;
         }
-    } catch (err) {
-        if (err instanceof Error) {
-            alert('epureGrille ' + err.name + ' ' + err.message);
-        } else {
-            alert('epureGrille ' + String(err));
+        let vGraine = $('#graine').val().trim();
+        if (vGraine === '') {
+            vGraine = String(Math.floor(Math.random() * 1000000));
         }
+        genereGrille(vGraine, Number($NbCases.val()), $('#symetrie').val(), '');
+    } catch (err) {
+        signaleErreur('epureGrille', err);
     }
 }
-function composeLigne(pCell) {
+function genereGrille(pGraine, pNbCases, pSymetrie, pNom) {
     try {
-        const position = extraitLigneEtColonne($(pCell).attr('id'));
-        const row = position[0];
-        const col = position[1];
-        const numCell = row * lngChiffres + col;
-        const resultat = [];
-        for (let pnt = 0; pnt < lngChiffres; pnt++) {
-            if (row * lngChiffres + pnt !== numCell) {
-                resultat.push(row * lngChiffres + pnt);
+        // Génère une grille à solution unique de la taille et de la variante
+        // courantes : une grille vide est complétée puis `pNbCases` cases sont
+        // vidées, tous les tirages venant de `pGraine` (voir executeCalcul).
+        // La même graine redonne donc la même grille. `pNom` nomme la grille
+        // (grille du jour) ; sans nom, le titre donne la graine.
+        const vDemande = {
+            action: 'generer',
+            chiffres: grille.chiffres,
+            variante: grille.variante,
+            graine: pGraine,
+            nbCases: pNbCases,
+            symetrie: pSymetrie
+        };
+        lanceCalcul(vDemande, r => {
+            sansHistorique(() => razGrille(false));
+            grille.restaure(r.valeurs);
+            afficheGrille();
+            initClassListGrille();
+            plateau.dejaPleine = false;
+            sansHistorique(bloqueCells);
+            // La difficulté de la grille générée compte pour les statistiques.
+            if (pNom === '') {
+                $('#titre').text('Sudoku : Nouvelle grille aléatoire ' + libelleSolutions(1) + ' — ' + r.note.libelle
+                    + ' — graine ' + pGraine);
+            } else {
+                nomFichier = pNom;
+                $('#titre').text('Sudoku : ' + pNom + ' — ' + r.note.libelle);
             }
+            nouvellePartie(r.note.libelle, r.solution);
+            enregistreEtat();
+            if (r.nbEpurees < pNbCases) {
+                notifie('info', 'Seulement ' + r.nbEpurees + ' case(s) épurée(s) sur ' + pNbCases
+                    + ' demandée(s) : au-delà, la grille n\'aurait plus une solution unique.');
+            }
+        });
+    } catch (err) {
+        signaleErreur('genereGrille', err);
+    }
+}
+// La grille du jour : 9x9 classique, même nombre de cases vidées et même
+// symétrie pour tous, la graine étant la date.
+const GRILLE_DU_JOUR = { nbCases: 50, symetrie: 'rotation' };
+function grilleDuJour() {
+    try {
+        const vDate = graineDuJour(new Date());
+        changePlateau('123456789', { type: 'classique' });
+        genereGrille(vDate, GRILLE_DU_JOUR.nbCases, GRILLE_DU_JOUR.symetrie, 'Grille du jour ' + vDate);
+    } catch (err) {
+        signaleErreur('grilleDuJour', err);
+    }
+}
+/*
+  Liens de partage. Une grille se transmet dans l'adresse de la page, après
+  « # » (ou « ? ») : p=<texte de la grille> et, facultativement,
+  s=<saisies du joueur>. Le texte de la grille est celui de l'export en une
+  ligne, les cases vides en '0', précédé de l'en-tête de variante hors
+  grille classique ; il est lu par importeTexte, comme un fichier. Les
+  saisies sont une ligne d'un caractère par case ('0' : case sans saisie).
+  Ex. CreeTableauSudoku.html#p=000804600003097500170650020780000106...
+  Une grille ouverte par un lien est sauvegardée dans EMPLACEMENT_LIEN, sans
+  écraser la partie en cours.
+*/
+const EMPLACEMENT_LIEN = 'Grille partagée';
+function lienPartage(pAvecSaisies) {
+    try {
+        // Adresse de la page ouvrant la grille courante (ses données
+        // seulement, ou avec les saisies du joueur).
+        const vEntete = grille.variante.type === 'classique' ? '' : texteVariante(grille);
+        let vDonnees = '';
+        let vSaisies = '';
+        for (let i = 0; i < nbCells; i++) {
+            const c = grille.valeur(i) === 0 ? '0' : grille.chiffre(i);
+            vDonnees += grille.fixes[i] ? c : '0';
+            vSaisies += grille.fixes[i] ? '0' : c;
+        }
+        let resultat = window.location.href.split('#')[0].split('?')[0] + '#p=' + encodeURIComponent(vEntete + vDonnees);
+        if (pAvecSaisies && /[^0]/.test(vSaisies)) {
+            resultat += '&s=' + encodeURIComponent(vSaisies);
         }
         return resultat;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('composeLigne ' + err.name + ' ' + err.message);
-        } else {
-            alert('composeLigne ' + String(err));
+        signaleErreur('lienPartage', err);
+        return '';
+    }
+}
+function partageGrille() {
+    try {
+        // Bouton « Partager » : affiche le lien dans #lienPartage et le copie
+        // dans le presse-papiers quand le navigateur le permet.
+        const vLien = lienPartage($('#partageSaisies').prop('checked'));
+        $('#lienPartage').val(vLien).show().trigger('select');
+        if (navigator.clipboard !== undefined) {
+            navigator.clipboard.writeText(vLien)
+                .then(() => $('#chiffresDispo').text('Lien de la grille copié dans le presse-papiers.'))
+                .catch(() => $('#chiffresDispo').text('Copiez le lien affiché pour partager la grille.'));
         }
+    } catch (err) {
+        signaleErreur('partageGrille', err);
     }
 }
-function composeColonne(pCell) {
+function chargeLienPartage() {
     try {
-        const position = extraitLigneEtColonne($(pCell).attr('id'));
-        const row = position[0];
-        const col = position[1];
-        const numCell = row * lngChiffres + col;
-        const resultat = [];
-        for (let pnt = 0; pnt < lngChiffres; pnt++) {
-            if (col + pnt * lngChiffres !== numCell) {
-                resultat.push(col + pnt * lngChiffres);
+        // Ouvre la grille donnée dans l'adresse de la page, s'il y en a une.
+        // Renvoie vrai si la grille du lien a été ouverte ; une grille
+        // refusée (message de importeTexte) laisse la partie en cours.
+        const vParametres = new URLSearchParams(window.location.search);
+        new URLSearchParams(window.location.hash.substring(1)).forEach((v, k) => vParametres.set(k, v));
+        const vTexte = vParametres.get('p');
+        if (vTexte === null || vTexte.trim() === '') {
+            return false;
+        }
+        fermeLecture();
+        const vEmplacement = emplacementCourant;
+        const vFichier = nomFichier;
+        const vCommencee = partieCommencee;
+        emplacementCourant = EMPLACEMENT_LIEN;
+        partieCommencee = false;
+        nomFichier = '';
+        if (!importeTexte(vTexte, 'Lien partagé')) {
+            emplacementCourant = vEmplacement;
+            nomFichier = vFichier;
+            partieCommencee = vCommencee;
+            return false;
+        }
+        const vSaisies = vParametres.get('s');
+        if (vSaisies !== null) {
+            appliqueSaisies(vSaisies);
+        }
+        majListeEmplacements();
+        // Le lien est retiré de l'adresse : recharger la page propose alors
+        // de reprendre la partie, au lieu de repartir de la grille du lien.
+        // Certains navigateurs refusent de modifier l'adresse d'une page
+        // ouverte en file:// ; le lien y reste, sans autre conséquence.
+        try {
+            window.history.replaceState(null, '', window.location.pathname);
+        } catch (errAdresse) {
+            // Adresse laissée telle quelle.
+        }
+        return true;
+    } catch (err) {
+        signaleErreur('chargeLienPartage', err);
+        return false;
+    }
+}
+function appliqueSaisies(pSaisies) {
+    try {
+        // Place les saisies d'un lien de partage sur la grille qui vient
+        // d'être chargée ; les cases fixes et les '0' sont laissés tels quels.
+        if (pSaisies.length !== nbCells) {
+            notifie('avertissement', 'Lien partagé : les saisies ne correspondent pas à la grille, elles sont ignorées.');
+            return;
+        }
+        for (let i = 0; i < nbCells; i++) {
+            const v = grille.chiffres.indexOf(pSaisies[i]) + 1;
+            if (v > 0 && !grille.fixes[i]) {
+                grille.place(i, v);
             }
         }
-        return resultat;
+        afficheGrille();
+        classesDepuisModele();
+        partieCommencee = true;
+        enregistreEtat();
     } catch (err) {
-        if (err instanceof Error) {
-            alert('composeColonne ' + err.name + ' ' + err.message);
-        } else {
-            alert('composeColonne ' + String(err));
+        signaleErreur('appliqueSaisies', err);
+    }
+}
+function donneIndice() {
+    try {
+        // Cherche la prochaine déduction logique sur la grille courante, met en
+        // évidence la case et les régions qui la justifient et l'explique dans
+        // #chiffresDispo. Le joueur peut ensuite l'accepter ou l'ignorer.
+        // Le calcul vérifie d'abord qu'il reste une solution.
+        effaceIndice();
+        if (grillePleine()) {
+            return;
+        }
+        const vMessage = "Indice : la grille n'a plus de solution, une des cases saisies est erronée (voir le diagnostic).";
+        if (!grilleInitialeValide()) {
+            $('#chiffresDispo').text(vMessage);
+            verifieGrille();
+            return;
         }
+        lanceCalcul({ action: 'compter', chiffres: grille.chiffres, variante: grille.variante, valeurs: grille.sauve(), max: 1 }, r => {
+            if (r.nombre === 0) {
+                $('#chiffresDispo').text(vMessage);
+                verifieGrille();
+            } else {
+                afficheIndice();
+            }
+        });
+    } catch (err) {
+        signaleErreur('donneIndice', err);
     }
 }
-function composeCarre(pCell) {
+function afficheIndice() {
     try {
-        const position = extraitLigneEtColonne($(pCell).attr('id'));
-        const row = position[0];
-        const col = position[1];
-        const numCell = row * lngChiffres + col;
-        const grp3Lig = Math.floor(numCell / lngChiffres / 3);
-        const grp3Col = Math.floor((numCell % lngChiffres) / 3);
-        const resultat = [];
-        const prems = grp3Lig * 3 * lngChiffres + grp3Col * 3;
-        for (let pnt = 0; pnt < 3; pnt++) {
-            if (prems + 0 * lngChiffres + pnt !== numCell) {
-                resultat.push(prems + 0 * lngChiffres + pnt);
+        // Suite de donneIndice, sur une grille qui a encore une solution.
+        const $eVs = $('#chiffresDispo');
+        const vIndice = chercheIndice(grille);
+        if (vIndice === null) {
+            $eVs.text('Indice : aucune déduction logique trouvée, il faut faire un essai.');
+            return;
+        }
+        const d = vIndice.deduction;
+        for (const r of d.regions) {
+            for (const i of grille.regions[r]) {
+                $(elements[i]).addClass('indice-region');
             }
-            if (prems + 1 * lngChiffres + pnt !== numCell) {
-                resultat.push(prems + 1 * lngChiffres + pnt);
+        }
+        $(elements[d.placement.case]).addClass('indice-case');
+        let vTexte = 'Indice (' + d.technique + ') : ' + d.explication + '.';
+        if (vIndice.preparation.length > 0) {
+            vTexte = 'Indice, après ' + vIndice.preparation.map(p => p.explication).join(' ; ')
+                + ' — ' + d.technique + ' : ' + d.explication + '.';
+        }
+        $eVs.text(vTexte);
+        indiceCourant = d;
+        nbIndices++;
+        afficheChrono();
+        $('#accepteIndice').prop('disabled', false);
+        $('#ignoreIndice').prop('disabled', false);
+    } catch (err) {
+        signaleErreur('afficheIndice', err);
+    }
+}
+function accepteIndice() {
+    try {
+        // Place le chiffre de l'indice affiché comme s'il avait été saisi.
+        if (indiceCourant === null) {
+            return;
+        }
+        const vPlacement = indiceCourant.placement;
+        const i = vPlacement.case;
+        effaceIndice();
+        grille.place(i, vPlacement.valeur);
+        grille.notes[i] = 0;
+        afficheCase(i);
+        if ($('#effaceNotesReliees').prop('checked')) {
+            for (const j of grille.retireNoteReliees(i, vPlacement.valeur)) {
+                afficheCase(j);
+            }
+        }
+        // Classes de toute la grille revues, comme après une saisie : un
+        // conflit levé par le chiffre placé l'est aussi pour les autres cases.
+        plateau.classesDepuisModele();
+        if (grillePleine() && grilleValide() && !plateau.dejaPleine) {
+            victoire();
+        }
+        enregistreEtat();
+    } catch (err) {
+        signaleErreur('accepteIndice', err);
+    }
+}
+function effaceIndice() {
+    try {
+        // Retire la mise en évidence et l'explication de l'indice courant.
+        if (indiceCourant === null) {
+            return;
+        }
+        $(elements).removeClass('indice-case indice-region');
+        $('#chiffresDispo').text('');
+        $('#accepteIndice').prop('disabled', true);
+        $('#ignoreIndice').prop('disabled', true);
+        indiceCourant = null;
+    } catch (err) {
+        signaleErreur('effaceIndice', err);
+    }
+}
+/*
+  Historique des coups : chaque modification de la grille (saisie, note,
+  indice, blocage, résolution, épuration, RAZ, chargement) enregistre un
+  instantané du modèle. `posHistorique` désigne l'état affiché ; les états
+  situés après lui sont ceux que l'on peut rétablir.
+  `historiqueSuspendu` évite d'enregistrer les étapes intermédiaires d'une
+  action composée (ex. genereGrille qui résout puis bloque la grille).
+*/
+const TAILLE_HISTORIQUE = 500;
+let historique = [];
+let posHistorique = -1;
+let historiqueSuspendu = 0;
+function enregistreEtat() {
+    try {
+        // Toute modification de la grille passe par ici : le compteur de
+        // chiffres et la mise en évidence suivent, même hors historique, et
+        // le diagnostic affiché ne vaut plus.
+        majCompteurChiffres();
+        effaceDiagnostic();
+        if (historiqueSuspendu > 0) {
+            return;
+        }
+        const vEtat = grille.instantane();
+        if (posHistorique >= 0 && JSON.stringify(historique[posHistorique]) === JSON.stringify(vEtat)) {
+            return;
+        }
+        historique = historique.slice(0, posHistorique + 1);
+        historique.push(vEtat);
+        if (historique.length > TAILLE_HISTORIQUE) {
+            historique.shift();
+        }
+        posHistorique = historique.length - 1;
+        majBoutonsHistorique();
+        sauvegardeAuto();
+    } catch (err) {
+        signaleErreur('enregistreEtat', err);
+    }
+}
+function sansHistorique(pAction) {
+    // Exécute `pAction` sans enregistrer d'état dans l'historique.
+    historiqueSuspendu++;
+    try {
+        pAction();
+    } finally {
+        historiqueSuspendu--;
+    }
+}
+function restaureEtat(pPosition) {
+    try {
+        // Affiche l'état `pPosition` de l'historique : valeurs, notes et cases
+        // fixes, puis recalcule les classes CSS à partir du modèle.
+        effaceIndice();
+        visuCP = false;
+        posHistorique = pPosition;
+        grille.restaureInstantane(historique[pPosition]);
+        afficheGrille();
+        classesDepuisModele();
+        majCompteurChiffres();
+        majBoutonsHistorique();
+        sauvegardeAuto();
+    } catch (err) {
+        signaleErreur('restaureEtat', err);
+    }
+}
+function classesDepuisModele() {
+    try {
+        // Classes et éditabilité des cellules d'après le modèle (voir
+        // SudokuBoard.classesDepuisModele), et célébration si la grille est résolue.
+        plateau.classesDepuisModele();
+        if (grillePleine() && grilleValide() && !plateau.dejaPleine) {
+            youpie();
+        }
+    } catch (err) {
+        signaleErreur('classesDepuisModele', err);
+    }
+}
+function annule() {
+    try {
+        if (posHistorique > 0) {
+            restaureEtat(posHistorique - 1);
+        }
+    } catch (err) {
+        signaleErreur('annule', err);
+    }
+}
+function retablit() {
+    try {
+        if (posHistorique < historique.length - 1) {
+            restaureEtat(posHistorique + 1);
+        }
+    } catch (err) {
+        signaleErreur('retablit', err);
+    }
+}
+function revientDernierEtatCorrect() {
+    try {
+        // Remonte l'historique jusqu'au dernier état sans conflit
+        // (aucun chiffre en double dans une ligne, une colonne ou un carré).
+        const vTest = new GrilleSudoku(vChiffres, varianteCourante);
+        for (let p = posHistorique; p >= 0; p--) {
+            vTest.restaure(historique[p].valeurs);
+            if (vTest.estCoherente()) {
+                if (p !== posHistorique) {
+                    restaureEtat(p);
+                }
+                return;
             }
-            if (prems + 2 * lngChiffres + pnt !== numCell) {
-                resultat.push(prems + 2 * lngChiffres + pnt);
+        }
+    } catch (err) {
+        signaleErreur('revientDernierEtatCorrect', err);
+    }
+}
+function majBoutonsHistorique() {
+    try {
+        $('#annuler').prop('disabled', posHistorique <= 0);
+        $('#retablir').prop('disabled', posHistorique >= historique.length - 1);
+    } catch (err) {
+        signaleErreur('majBoutonsHistorique', err);
+    }
+}
+function raccourcisHistorique(e) {
+    try {
+        // Ctrl+Z annule, Ctrl+Y (ou Ctrl+Maj+Z) rétablit (sauf pendant la
+        // lecture pas à pas, où la grille affichée n'est pas celle du joueur,
+        // et pendant un calcul, dont le résultat remplacera la grille).
+        if ((!e.ctrlKey && !e.metaKey) || lecture !== null || calculEnCours()) {
+            return;
+        }
+        const vTouche = e.key.toLowerCase();
+        if (vTouche === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            annule();
+        } else if (vTouche === 'y' || vTouche === 'z') {
+            e.preventDefault();
+            retablit();
+        }
+    } catch (err) {
+        signaleErreur('raccourcisHistorique', err);
+    }
+}
+/*
+  Partie en cours : chronomètre, erreurs et indices, et statistiques
+  personnelles (StatistiquesSudoku.js) à la victoire.
+  - Le chronomètre démarre au chargement ou à la génération d'une grille
+    (nouvellePartie) et s'arrête quand l'onglet est caché ; le temps est
+    conservé dans les sauvegardes.
+  - Une erreur est un chiffre saisi qui n'est pas celui de la solution
+    (`solutionPartie` : connue à la génération, sinon cherchée par le worker
+    au début de la partie) ; tant qu'elle ne l'est pas, ou si la grille de
+    départ n'a pas de solution unique, c'est une saisie en conflit signalée
+    par le plateau (évènement 'conflict'). Un indice compte dès qu'il est
+    affiché.
+  - Seules les grilles dont la difficulté est connue (`difficultePartie`,
+    libellé de noteGrille) comptent dans les statistiques. `clePartie`
+    identifie la grille (variante et chiffres de départ) pour ses
+    statistiques propres.
+*/
+let debutChrono = Date.now();
+let tempsCumule = 0;
+let chronoSuspendu = false;
+let nbErreurs = 0;
+let nbIndices = 0;
+let difficultePartie = '';
+let clePartie = '';
+let solutionPartie = null;
+let partieCommencee = false;
+let partieTerminee = false;
+function demarreChrono(pDejaEcoule) {
+    try {
+        tempsCumule = pDejaEcoule;
+        debutChrono = Date.now();
+        chronoSuspendu = false;
+    } catch (err) {
+        signaleErreur('demarreChrono', err);
+    }
+}
+function suspendChrono() {
+    try {
+        if (!chronoSuspendu) {
+            tempsCumule = tempsEcoule();
+            chronoSuspendu = true;
+        }
+    } catch (err) {
+        signaleErreur('suspendChrono', err);
+    }
+}
+function repriseChrono() {
+    if (chronoSuspendu) {
+        debutChrono = Date.now();
+        chronoSuspendu = false;
+    }
+}
+function tempsEcoule() {
+    return chronoSuspendu ? tempsCumule : tempsCumule + (Date.now() - debutChrono);
+}
+function afficheChrono() {
+    try {
+        $('#chrono').text(formatteTemps(tempsEcoule()));
+        $('#nbErreurs').text(String(nbErreurs));
+        $('#nbIndices').text(String(nbIndices));
+    } catch (err) {
+        signaleErreur('afficheChrono', err);
+    }
+}
+function changeVisibilite() {
+    try {
+        // Onglet caché : le chronomètre s'arrête (sauf partie terminée, où il
+        // l'est déjà) et la partie est sauvegardée.
+        if (document.hidden) {
+            suspendChrono();
+            sauvegardeAuto();
+        } else if (!partieTerminee) {
+            repriseChrono();
+        }
+        afficheChrono();
+    } catch (err) {
+        signaleErreur('changeVisibilite', err);
+    }
+}
+function nouvellePartie(pDifficulte, pSolution) {
+    try {
+        // Une nouvelle grille est chargée ou générée, de difficulté
+        // `pDifficulte` ('' si inconnue : grille vide ou saisie à la main).
+        // `pSolution` : valeurs de la solution si elle est déjà connue (grille
+        // générée), sinon elle est cherchée.
+        // La partie précédente, commencée et non terminée, est abandonnée.
+        abandonnePartie();
+        nbErreurs = 0;
+        nbIndices = 0;
+        difficultePartie = pDifficulte;
+        clePartie = grille.variante.type + ':' + grille.valeurs.map((v, i) => grille.fixes[i] ? grille.chiffre(i) : '0').join('');
+        partieCommencee = false;
+        partieTerminee = false;
+        demarreChrono(0);
+        $('#victoire').hide();
+        afficheChrono();
+        if (pSolution === undefined) {
+            chercheSolutionPartie();
+        } else {
+            solutionPartie = pSolution;
+        }
+    } catch (err) {
+        signaleErreur('nouvellePartie', err);
+    }
+}
+function abandonnePartie() {
+    try {
+        // La grille est résolue par le résolveur ou remplacée en cours de
+        // partie : la série de sa difficulté s'interrompt.
+        if (difficultePartie !== '' && partieCommencee && !partieTerminee) {
+            enregistreAbandon(difficultePartie);
+        }
+        partieCommencee = false;
+        partieTerminee = true;
+        suspendChrono();
+        afficheChrono();
+    } catch (err) {
+        signaleErreur('abandonnePartie', err);
+    }
+}
+function chercheSolutionPartie() {
+    try {
+        // Lance la recherche de la solution de la grille de départ (ses cases
+        // fixes) dans le worker, en fond ; `solutionPartie` reste null jusqu'à
+        // la réponse, et si la grille n'a pas de solution unique ou si un
+        // calcul du joueur interrompt la recherche. Une grille sans case fixe
+        // n'est pas cherchée, ni pendant un calcul du joueur. Une réponse
+        // arrivée après un changement de grille est ignorée.
+        solutionPartie = null;
+        if (!grille.fixes.includes(true) || calculEnCours()) {
+            return;
+        }
+        const vDepart = grille.valeurs.map((v, i) => grille.fixes[i] ? v : 0);
+        lanceCalcul({ action: 'resoudre', chiffres: grille.chiffres, variante: grille.variante, valeurs: vDepart }, r => {
+            const vMemeGrille = grille.valeurs.every((v, i) => (grille.fixes[i] ? v : 0) === vDepart[i]);
+            if (vMemeGrille && r.nombre === 1) {
+                solutionPartie = r.valeurs;
             }
+        }, true);
+    } catch (err) {
+        signaleErreur('chercheSolutionPartie', err);
+    }
+}
+function compteErreur(e, pDetail) {
+    try {
+        // Évènements 'cellchange' et 'conflict' du plateau. Un chiffre saisi
+        // est une erreur dès qu'il diffère de la solution, même sans conflit
+        // visible ; sans solution connue, seul un chiffre placé en conflit
+        // compte. Une saisie refusée, qui n'est pas un chiffre, ne compte pas.
+        if (pDetail.valeur === 0 || partieTerminee) {
+            return;
+        }
+        const vErreur = solutionPartie === null
+            ? e.type === 'conflict'
+            : e.type === 'cellchange' && pDetail.valeur !== solutionPartie[pDetail.index];
+        if (vErreur) {
+            nbErreurs++;
+            afficheChrono();
         }
-        return resultat;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('composeCarre ' + err.name + ' ' + err.message);
+        signaleErreur('compteErreur', err);
+    }
+}
+function afficheVictoire() {
+    try {
+        // Écran de victoire : temps, erreurs et indices de la partie, puis
+        // les statistiques de la grille et de sa difficulté, enregistrées
+        // une seule fois par partie.
+        if (partieTerminee) {
+            return;
+        }
+        suspendChrono();
+        partieTerminee = true;
+        const vTemps = tempsEcoule();
+        const $vPanneau = $('#victoire').empty();
+        $vPanneau.append($('<h3>').text("Bravo c'est gagné !"));
+        $vPanneau.append($('<p>').text('Temps : ' + formatteTemps(vTemps) + ' — erreurs : ' + nbErreurs
+            + ' — indices : ' + nbIndices));
+        if (difficultePartie === '') {
+            $vPanneau.append($('<p>').text("Grille sans difficulté connue : elle ne compte pas dans les statistiques."));
         } else {
-            alert('composeCarre ' + String(err));
+            const vResultat = enregistreVictoire({
+                cle: clePartie,
+                nom: nomFichier || 'Grille générée',
+                difficulte: difficultePartie,
+                temps: vTemps,
+                erreurs: nbErreurs,
+                indices: nbIndices
+            });
+            if (vResultat !== null) {
+                if (vResultat.record && vResultat.difficulte.resolues > 1) {
+                    $vPanneau.append($('<p>').addClass('record').text('Nouveau record en ' + difficultePartie + ' !'));
+                }
+                if (vResultat.grille.resolues > 1) {
+                    $vPanneau.append($('<p>').text('Cette grille : résolue ' + vResultat.grille.resolues
+                        + ' fois, meilleur temps ' + formatteTemps(vResultat.grille.meilleurTemps) + '.'));
+                }
+            }
+            $vPanneau.append(tableauStatistiques(lisStatistiques(), difficultePartie));
         }
+        $vPanneau.append($('<input type="button" value="Fermer">').on('click', () => $vPanneau.hide()));
+        $vPanneau.show();
+        afficheChrono();
+    } catch (err) {
+        signaleErreur('afficheVictoire', err);
     }
 }
-function casesReliees(pCell) {
+
+/*
+  Sauvegarde de la partie dans le localStorage. Chaque emplacement est une
+  clé PREFIXE_SAUVEGARDE + nom contenant l'état du modèle (valeurs, cases
+  fixes, notes), le titre, le nom du fichier chargé et le temps écoulé.
+  La partie en cours est réécrite dans son emplacement à chaque modification ;
+  la clé CLE_DERNIER_EMPLACEMENT retient l'emplacement à proposer à l'ouverture.
+*/
+const PREFIXE_SAUVEGARDE = 'SudokuCrans.partie.';
+const CLE_DERNIER_EMPLACEMENT = 'SudokuCrans.dernier';
+const EMPLACEMENT_DEFAUT = 'Partie en cours';
+let emplacementCourant = EMPLACEMENT_DEFAUT;
+let nomFichier = '';
+function sauvegardeAuto() {
+    try {
+        // Pendant la lecture pas à pas, la dernière sauvegarde (d'avant la
+        // lecture) reste celle de la partie.
+        if (lecture !== null) {
+            return;
+        }
+        const vPartie = {
+            chiffres: grille.chiffres,
+            variante: grille.variante,
+            etat: grille.instantane(),
+            titre: $('#titre').text(),
+            fichier: nomFichier,
+            dejaPleine: plateau.dejaPleine === true,
+            tempsEcoule: tempsEcoule(),
+            erreurs: nbErreurs,
+            indices: nbIndices,
+            difficulte: difficultePartie,
+            cle: clePartie,
+            commencee: partieCommencee,
+            terminee: partieTerminee,
+            date: new Date().toISOString()
+        };
+        localStorage.setItem(PREFIXE_SAUVEGARDE + emplacementCourant, JSON.stringify(vPartie));
+        localStorage.setItem(CLE_DERNIER_EMPLACEMENT, emplacementCourant);
+    } catch (err) {
+        signaleErreur('sauvegardeAuto', err);
+    }
+}
+function lisEmplacement(pNom) {
+    try {
+        const vTexte = localStorage.getItem(PREFIXE_SAUVEGARDE + pNom);
+        return vTexte === null ? null : JSON.parse(vTexte);
+    } catch (err) {
+        signaleErreur('lisEmplacement', err);
+        return null;
+    }
+}
+function listeEmplacements() {
     try {
         const resultat = [];
-        const vLigne = composeLigne(pCell);
-        const vColonne = composeColonne(pCell);
-        const vCarre = composeCarre(pCell);
-        for (let pnt = 0; pnt < 8; pnt++) {
-            if (!resultat.includes(vLigne[pnt])) {
-                resultat.push(vLigne[pnt]);
+        for (let i = 0; i < localStorage.length; i++) {
+            const vCle = localStorage.key(i);
+            if (vCle.startsWith(PREFIXE_SAUVEGARDE)) {
+                resultat.push(vCle.substring(PREFIXE_SAUVEGARDE.length));
             }
-            if (!resultat.includes(vColonne[pnt])) {
-                resultat.push(vColonne[pnt]);
+        }
+        return resultat.sort();
+    } catch (err) {
+        signaleErreur('listeEmplacements', err);
+        return [];
+    }
+}
+function majListeEmplacements() {
+    try {
+        const $vListe = $('#emplacements').empty();
+        for (const vNom of listeEmplacements()) {
+            $vListe.append($('<option>').val(vNom).text(vNom));
+        }
+        $vListe.val(emplacementCourant);
+    } catch (err) {
+        signaleErreur('majListeEmplacements', err);
+    }
+}
+function chargeEmplacement(pNom) {
+    try {
+        // Affiche la partie sauvegardée `pNom`, qui devient l'emplacement courant ;
+        // l'historique repart de cet état.
+        const vPartie = lisEmplacement(pNom);
+        if (vPartie === null) {
+            return;
+        }
+        // Les sauvegardes antérieures aux tailles et variantes sont des grilles
+        // 9x9 classiques. L'emplacement change avant le plateau : la grille
+        // vide créée par changePlateau ne doit pas écraser la partie précédente.
+        emplacementCourant = pNom;
+        partieCommencee = false;
+        changePlateau(vPartie.chiffres || '123456789', vPartie.variante || { type: 'classique' });
+        effaceIndice();
+        visuCP = false;
+        grille.restaureInstantane(vPartie.etat);
+        nomFichier = vPartie.fichier;
+        plateau.dejaPleine = vPartie.dejaPleine;
+        afficheGrille();
+        classesDepuisModele();
+        $('#titre').text(vPartie.titre);
+        // Les sauvegardes antérieures au chronomètre n'ont ni erreurs, ni
+        // indices, ni difficulté : elles ne comptent pas dans les statistiques.
+        nbErreurs = vPartie.erreurs || 0;
+        nbIndices = vPartie.indices || 0;
+        difficultePartie = vPartie.difficulte || '';
+        clePartie = vPartie.cle || '';
+        partieCommencee = vPartie.commencee === true;
+        partieTerminee = vPartie.terminee === true;
+        demarreChrono(vPartie.tempsEcoule);
+        if (partieTerminee) {
+            suspendChrono();
+        }
+        $('#victoire').hide();
+        afficheChrono();
+        chercheSolutionPartie();
+        historique = [];
+        posHistorique = -1;
+        enregistreEtat();
+        majListeEmplacements();
+    } catch (err) {
+        signaleErreur('chargeEmplacement', err);
+    }
+}
+function proposeReprise() {
+    try {
+        // A l'ouverture de la page, propose de reprendre la dernière partie
+        // sauvegardée si elle n'est pas vide. En cas de refus, la nouvelle
+        // partie s'enregistre dans l'emplacement par défaut.
+        const vNom = localStorage.getItem(CLE_DERNIER_EMPLACEMENT);
+        const vPartie = vNom === null ? null : lisEmplacement(vNom);
+        if (vPartie === null || vPartie.etat.valeurs.every(v => v === 0)) {
+            return;
+        }
+        if (confirm('Reprendre la partie « ' + vNom + ' » (' + vPartie.titre + ') ?')) {
+            chargeEmplacement(vNom);
+        } else {
+            emplacementCourant = EMPLACEMENT_DEFAUT;
+            majListeEmplacements();
+        }
+    } catch (err) {
+        signaleErreur('proposeReprise', err);
+    }
+}
+function enregistreSous() {
+    try {
+        // Copie la partie en cours dans un nouvel emplacement nommé, qui devient
+        // l'emplacement courant (les modifications suivantes y sont sauvegardées).
+        const vNom = $('#nomEmplacement').val().trim();
+        if (vNom === '') {
+            notifie('avertissement', "Donnez un nom à l'emplacement de sauvegarde.");
+            return;
+        }
+        emplacementCourant = vNom;
+        sauvegardeAuto();
+        $('#nomEmplacement').val('');
+        majListeEmplacements();
+    } catch (err) {
+        signaleErreur('enregistreSous', err);
+    }
+}
+function ouvreEmplacement() {
+    try {
+        // Sauvegarde la partie en cours puis passe à l'emplacement choisi.
+        const vNom = $('#emplacements').val();
+        if (vNom === null || vNom === emplacementCourant) {
+            return;
+        }
+        sauvegardeAuto();
+        chargeEmplacement(vNom);
+    } catch (err) {
+        signaleErreur('ouvreEmplacement', err);
+    }
+}
+function supprimeEmplacement() {
+    try {
+        // Supprime l'emplacement choisi ; si c'était l'emplacement courant, la
+        // partie continue dans l'emplacement par défaut.
+        const vNom = $('#emplacements').val();
+        if (vNom === null || !confirm('Supprimer la sauvegarde « ' + vNom + ' » ?')) {
+            return;
+        }
+        localStorage.removeItem(PREFIXE_SAUVEGARDE + vNom);
+        if (vNom === emplacementCourant) {
+            emplacementCourant = EMPLACEMENT_DEFAUT;
+            sauvegardeAuto();
+        }
+        majListeEmplacements();
+    } catch (err) {
+        signaleErreur('supprimeEmplacement', err);
+    }
+}
+/*
+  Bibliothèque des grilles fournies (BIBLIOTHEQUE, Grilles/bibliotheque.js).
+  L'état de chaque grille pour le joueur (pas commencée / en cours / résolue)
+  est conservé dans le localStorage sous CLE_ETATS_BIBLIOTHEQUE. Les notes de
+  difficulté sont calculées à la première ouverture du panneau.
+*/
+const CLE_ETATS_BIBLIOTHEQUE = 'SudokuCrans.bibliotheque';
+const LIBELLES_ETATS = { '': 'Pas commencée', 'en cours': 'En cours', 'résolue': 'Résolue' };
+let notesBibliotheque = null;
+function etatsBibliotheque() {
+    try {
+        return JSON.parse(localStorage.getItem(CLE_ETATS_BIBLIOTHEQUE) || '{}');
+    } catch (err) {
+        signaleErreur('etatsBibliotheque', err);
+        return {};
+    }
+}
+function marqueEtatBibliotheque(pFichier, pEtat) {
+    try {
+        // Une grille résolue le reste, même si on la rouvre.
+        if (!BIBLIOTHEQUE.some(g => g.fichier === pFichier)) {
+            return;
+        }
+        const vEtats = etatsBibliotheque();
+        if (vEtats[pFichier] === 'résolue' && pEtat === 'en cours') {
+            return;
+        }
+        vEtats[pFichier] = pEtat;
+        localStorage.setItem(CLE_ETATS_BIBLIOTHEQUE, JSON.stringify(vEtats));
+        if ($('#bibliotheque').is(':visible')) {
+            remplitBibliotheque();
+        }
+    } catch (err) {
+        signaleErreur('marqueEtatBibliotheque', err);
+    }
+}
+function afficheBibliotheque() {
+    try {
+        const $vPanneau = $('#bibliotheque');
+        if ($vPanneau.is(':visible')) {
+            $vPanneau.hide();
+            return;
+        }
+        remplitBibliotheque();
+        $vPanneau.show();
+    } catch (err) {
+        signaleErreur('afficheBibliotheque', err);
+    }
+}
+function remplitBibliotheque() {
+    try {
+        // Une ligne par grille : fichier, note, nombre de données, état ; un
+        // clic sur la ligne ouvre la grille.
+        if (notesBibliotheque === null) {
+            notesBibliotheque = {};
+            for (const g of BIBLIOTHEQUE) {
+                const vTest = new GrilleSudoku(chiffresPourNbCases(g.valeurs.length));
+                vTest.chargeChaine(g.valeurs);
+                notesBibliotheque[g.fichier] = vTest.estPleine() ? 'Grille complète' : noteGrille(vTest).libelle;
             }
-            if (!resultat.includes(vCarre[pnt])) {
-                resultat.push(vCarre[pnt]);
+        }
+        const vEtats = etatsBibliotheque();
+        const $vCorps = $('#listeBibliotheque tbody').empty();
+        for (const g of BIBLIOTHEQUE) {
+            const $vLigne = $('<tr>')
+                .append($('<td>').text(g.fichier))
+                .append($('<td>').text(notesBibliotheque[g.fichier]))
+                .append($('<td>').text(g.valeurs.replace(/0/g, '').length))
+                .append($('<td>').text(LIBELLES_ETATS[vEtats[g.fichier] || '']))
+                .on('click', () => ouvreGrilleBibliotheque(g.fichier));
+            if (g.fichier === nomFichier) {
+                $vLigne.addClass('grille-courante');
             }
+            $vCorps.append($vLigne);
         }
-        return resultat;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('casesReliees ' + err.name + ' ' + err.message);
-        } else {
-            alert('casesReliees ' + String(err));
+        signaleErreur('remplitBibliotheque', err);
+    }
+}
+function ouvreGrilleBibliotheque(pFichier) {
+    try {
+        // Même chemin de chargement qu'un fichier lu par #chargeGrille. Une
+        // grille refusée ne change pas d'état.
+        const vGrille = BIBLIOTHEQUE.find(g => g.fichier === pFichier);
+        if (!chargeGrilleTexte(vGrille.valeurs, vGrille.fichier, { type: 'classique' })) {
+            return;
         }
+        marqueEtatBibliotheque(vGrille.fichier, 'en cours');
+        if ($('#bibliotheque').is(':visible')) {
+            remplitBibliotheque();
+        }
+    } catch (err) {
+        signaleErreur('ouvreGrilleBibliotheque', err);
+    }
+}
+function grilleSuivanteNonResolue() {
+    try {
+        // Ouvre la première grille non résolue qui suit la grille courante dans
+        // la bibliothèque (en repartant du début si besoin). Les grilles
+        // complètes, qui n'ont rien à résoudre, sont sautées.
+        const vEtats = etatsBibliotheque();
+        const vDebut = BIBLIOTHEQUE.findIndex(g => g.fichier === nomFichier) + 1;
+        for (let k = 0; k < BIBLIOTHEQUE.length; k++) {
+            const g = BIBLIOTHEQUE[(vDebut + k) % BIBLIOTHEQUE.length];
+            if (vEtats[g.fichier] !== 'résolue' && g.valeurs.includes('0')) {
+                ouvreGrilleBibliotheque(g.fichier);
+                return;
+            }
+        }
+        notifie('info', 'Toutes les grilles de la bibliothèque sont résolues. Bravo !');
+    } catch (err) {
+        signaleErreur('grilleSuivanteNonResolue', err);
+    }
+}
+function casesReliees(pCell) {
+    try {
+        // Les cases reliées (même ligne, colonne ou carré) sont précalculées par le modèle.
+        return grille.reliees[indexCase(pCell)];
+    } catch (err) {
+        signaleErreur('casesReliees', err);
     }
 }
 function contenuCasesReliees(pCell) {
@@ -1017,15 +2291,11 @@ function contenuCasesReliees(pCell) {
         const resultat = [];
         const vCR = casesReliees(pCell);
         for (let i = 0; i < vCR.length; i++) {
-            resultat.push($(elements[vCR[i]]).text());
+            resultat.push(grille.chiffre(vCR[i]));
         }
         return resultat;
     } catch (err) {
-        if (err instanceof Error) {
-            alert('contenuCasesReliees ' + err.name + ' ' + err.message);
-        } else {
-            alert('contenuCasesReliees ' + String(err));
-        }
+        signaleErreur('contenuCasesReliees', err);
     }
 }
 
@@ -0,0 +1,90 @@
+/*
+  bibliotheque.js
+
+  Description (FR):
+  ------------------
+  Contenu des grilles du dossier Grilles/, pour le panneau « Bibliothèque »
+  de CreeTableauSudoku.html. Une page ouverte depuis le disque (file://) ne
+  peut ni lister un dossier ni lire ses fichiers sans passer par l'input
+  #chargeGrille ; les grilles sont donc recopiées ici.
+
+  Chaque entrée donne le nom du fichier et ses 81 chiffres en une ligne
+  ('0' pour une case vide). Après ajout ou modification d'un fichier dans
+  Grilles/, ajouter ou mettre à jour l'entrée correspondante.
+*/
+const BIBLIOTHEQUE = [
+    { fichier: 'grille00-2.txt', valeurs: '085046073002005064690003800851060000946200581023851406518004700460372000007518649' },
+    { fichier: 'grille01-2.txt', valeurs: '000007000002031000007006004050800001060000078000005063010000230004710090000009000' },
+    { fichier: 'Grille20-2.txt', valeurs: '000804600003097500170650020780000106056000840301000052030075098005960300007308000' },
+    { fichier: 'grille34-2.txt', valeurs: '702010000000000360800003070000402900900000005008601000020900004089000000000070601' },
+    { fichier: 'grille35-2.txt', valeurs: '000435000010000040007000900600080007400306008800010002008000500090000080000862000' },
+    { fichier: 'Grille40-2.txt', valeurs: '040008703093470080008900050800700069602000037070080205000637541360510020410002000' },
+    { fichier: 'Grille41-2.txt', valeurs: '010004060238907410400023087081000000650008102300006000820070539109005020503002000' },
+    { fichier: 'Grille42-2.txt', valeurs: '000030000013408900090500080400090205052001007600205400300604500027000609046009000' },
+    { fichier: 'Grille43-2.txt', valeurs: '050003010708610000020900070000000509203000100000167300000390040470000036086000950' },
+    { fichier: 'Grille44-2.txt', valeurs: '300000008608200030040803279850004000000000400002000000900502100506030000007600080' },
+    { fichier: 'Grille45-2.txt', valeurs: '030260800850030204002040070001000000000901080480300007307002000090600000200005100' },
+    { fichier: 'Grille46-2.txt', valeurs: '300000008608200030040803279850004000000000400002000000900502100506030000007600080' },
+    { fichier: 'Grille47-2.txt', valeurs: '030260800850030204002040070001000000000901080480300007307002000090600000200005100' },
+    { fichier: 'Grille48-2.txt', valeurs: '003000006060329000908400003010003000009000080070190002000005700400206010000004905' },
+    { fichier: 'Grille49-2.txt', valeurs: '000000000579040200340290005790400000000000396008005400600000004000006023020700680' },
+    { fichier: 'Grille50-2.txt', valeurs: '008000047057308000109000200000006000003005000580470100006002050275010009000600000' },
+    { fichier: 'Grille51-2.txt', valeurs: '004009003503200609906103040108000000070030016000005400040020000800370205007000000' },
+    { fichier: 'Grille52-2.txt', valeurs: '401907003008050000027400000004700000103008000000000410802006500000800130079000000' },
+    { fichier: 'Grille53-2.txt', valeurs: '000010047000000003507803000000902050080000000270500086020050000001006070350700490' },
+    { fichier: 'Grille54-2.txt', valeurs: '000608007086400901000091800500040070000000300301000020965010000000800000014020009' },
+    { fichier: 'Grille56-2.txt', valeurs: '004100390600730000000000047007000900200005010940010530700000420000043009003908000' },
+    { fichier: 'Grille57-2.txt', valeurs: '004070563306008200017000009080006000000900305009000602000650100001000700700002006' },
+    { fichier: 'Grille58-2.txt', valeurs: '000300041050071006000600000802000030000708090004003800100037200093054000007010000' },
+    { fichier: 'Grille59-2.txt', valeurs: '095023000000009007000400800807062010006004000009030500602000004080070150000040030' },
+    { fichier: 'sudoku01.txt', valeurs: '816293745249758631753164829634871952125936487978425316591347268482619573367582194' },
+    { fichier: 'sudoku02.txt', valeurs: '534187926928436157761925384253791468186542739479368512392814675615279843847653291' },
+    { fichier: 'sudoku03.txt', valeurs: '139542678847916253625387491986254137753861924412739586368495712571628349294173865' },
+    { fichier: 'sudoku04.txt', valeurs: '386452719271398456945176823714829365569734182823615974438567291152983647697241538' },
+    { fichier: 'sudoku05.txt', valeurs: '253197864146528379879364521635972418487651932921483657768239145594716283312845796' },
+    { fichier: 'sudoku06.txt', valeurs: '269471358314958627587326914972183546458267139136549782623895471895714263741632895' },
+    { fichier: 'sudoku07.txt', valeurs: '723618495594327168618495732359874621276159384841236957435981276182763549967542813' },
+    { fichier: 'sudoku08.txt', valeurs: '543671829892453176761298435489127653237564918156839247318746592924385761675912384' },
+    { fichier: 'sudoku09.txt', valeurs: '293641875548327916761859342357912684189764253426538197615493728974286531832175469' },
+    { fichier: 'sudoku10.txt', valeurs: '634195287125738649987462531519823476273946158468517392796351824342689715851274963' },
+    { fichier: 'sudoku11.txt', valeurs: '825193746469725318713486592972568134348219675651347289187654923534972861296831457' },
+    { fichier: 'sudoku12.txt', valeurs: '749582136632471985815396724527618493391745268486239517253167849974823651168954372' },
+    { fichier: 'sudoku13.txt', valeurs: '763894125852671349149235867698427531431956782275183496386712954914568273527349618' },
+    { fichier: 'sudoku14.txt', valeurs: '752961834349825671186347529461593287837216495925784163273158946594632718618479352' },
+    { fichier: 'sudoku15.txt', valeurs: '137492586642358719958167432274913865896745123315286947523874691469521378781639254' },
+    { fichier: 'sudoku16.txt', valeurs: '568273491147659823392814567415762938679385142823941756231498675956137284784526319' },
+    { fichier: 'sudoku17.txt', valeurs: '361849257247516938895732416632491875589673142174285693918327564453968721726154389' },
+    { fichier: 'sudoku18.txt', valeurs: '631594872254876931897312564128765493763149285945238617389427156572681349416953728' },
+    { fichier: 'sudoku19.txt', valeurs: '286197534531482769497635281974516328823749615615328947168973452752864193349251876' },
+    { fichier: 'sudoku20.txt', valeurs: '279648153514973862386215947152394786637851294948762315861427539795136428423589671' },
+    { fichier: 'sudoku21.txt', valeurs: '261387549584691327739425681613852794428769135957143268392578416145936872876214953' },
+    { fichier: 'sudoku22.txt', valeurs: '687329415549186327231547869896732541172954683453618792314265978928473156765891234' },
+    { fichier: 'sudoku23.txt', valeurs: '715946382923587614486132597258693471649718253371254968862379145194825736537461829' },
+    { fichier: 'sudoku24.txt', valeurs: '293841756678352941145967283514628397329475618867193524936584172781239465452716839' },
+    { fichier: 'sudoku25.txt', valeurs: '936512487487693215215784963721938546358426791649157328874265139593841672162379854' },
+    { fichier: 'sudoku26.txt', valeurs: '695327184428615397173894652214983765936752418587461239752139846841576923369248571' },
+    { fichier: 'sudoku27.txt', valeurs: '958671243764239185312458769127943856695817432483526971876195324549382617231764598' },
+    { fichier: 'sudoku28.txt', valeurs: '921467358785319426364852719673581942849276135512943687136725894298634571457198263' },
+    { fichier: 'sudoku29.txt', valeurs: '435296718197348562682157394876423159941785236523961487218634975754819623369572841' },
+    { fichier: 'sudoku30.txt', valeurs: '539426781176583492248719356683175249954362817721948635362891574495637128817254963' },
+    { fichier: 'sudoku31.txt', valeurs: '391852674876394512254761893735218469149637285682549137518923746967485321423176958' },
+    { fichier: 'sudoku32.txt', valeurs: '415632789987451326632897451271943865543168297869725143328519674756384912194276538' },
+    { fichier: 'sudoku33.txt', valeurs: '512436879867951432439278516193642758248517963675893241956124387784369125321785694' },
+    { fichier: 'sudoku34.txt', valeurs: '236541897971286435845973261493758126682139574157624983328417659719865342564392718' },
+    { fichier: 'sudoku35.txt', valeurs: '367418259259763481481925673618547392973281564542639817794852136836194725125376948' },
+    { fichier: 'sudoku36.txt', valeurs: '852179436146325987793846215634987521215463879987512643471698352529734168368251794' },
+    { fichier: 'sudoku37.txt', valeurs: '128957643439126587657438912915683274364792158782514396296875431573241869841369725' },
+    { fichier: 'sudoku38.txt', valeurs: '754381962896742153132596784213678495467915238985234617348129576621857349579463821' },
+    { fichier: 'sudoku39.txt', valeurs: '735462981914875236862931745358296174476518329291743658583629417149357862627184593' },
+    { fichier: 'sudoku40.txt', valeurs: '463829751152746398987351246735268419691574832824913675578492163246135987319687524' },
+    { fichier: 'sudoku41.txt', valeurs: '627438915315697482948251637761385294584729163239146578153862749472913856896574321' },
+    { fichier: 'sudoku42.txt', valeurs: '276834195139562874584179326362951748418723569957486231741298653695317482823645917' },
+    { fichier: 'sudoku43.txt', valeurs: '523179468614382597789465123258731946197246385346958712965813274432697851871524639' },
+    { fichier: 'sudoku44.txt', valeurs: '921345768586179234374862951695283417217496385438751692749618523152937846863524179' },
+    { fichier: 'sudoku45.txt', valeurs: '134859726768241359529763184817395462452186937396472815673928541241537698985614273' },
+    { fichier: 'sudoku46.txt', valeurs: '768951423234867195159243786925314678416798352387526941542639817893172564671485239' },
+    { fichier: 'sudoku47.txt', valeurs: '915847326862139475347256189591462837423978651786315294639721548174583962258694713' },
+    { fichier: 'sudoku48.txt', valeurs: '798265413436891725251437968584176392312948657679523841823614579145789236967352184' },
+    { fichier: 'sudoku49.txt', valeurs: '921687345548319672736452198395148267462573819187296453854931726279864531613725984' },
+    { fichier: 'sudoku50.txt', valeurs: '236851794987243156154976832563729418421538967798164523619482375872315649345697281' }
+];
@@ -0,0 +1,2060 @@
+/*
+  MoteurSudoku.js
+
+  Description (FR):
+  ------------------
+  Moteur de Sudoku indépendant du DOM : modèle de grille en mémoire et
+  stratégies de résolution. Ce fichier n'utilise ni jQuery ni `document` ;
+  il peut donc être chargé dans la page (avant CreeTableauSudoku.jquery.js)
+  ou réutilisé tel quel sous Node.js (`require('./MoteurSudoku.js')`).
+
+  Points importants:
+  - Une grille est un tableau de `nbCases` valeurs : 0 pour une case vide,
+    1..taille pour un chiffre (la valeur k correspond au caractère
+    `chiffres[k - 1]`).
+  - Chaque région (ligne, colonne, carré) tient un compteur par chiffre et un
+    masque de bits des chiffres présents : le bit (k - 1) est levé si le
+    chiffre k figure dans la région. Les candidats d'une case se calculent
+    donc en quelques opérations binaires, sans parcourir les cases reliées.
+  - Les compteurs permettent de représenter une grille contenant des doublons
+    (saisie erronée de l'utilisateur) sans perdre la cohérence des masques.
+  - Les notes du joueur (candidats crayonnés) sont un masque par case, au
+    même format ; elles n'interviennent pas dans la résolution.
+
+  Liste synthétique :
+  - GrilleSudoku : modèle (valeurs, cases fixes, notes, masques des régions),
+    avec les régions et cages de la variante de règles (X, Hyper, Jigsaw, Killer,
+    Samouraï).
+  - CHIFFRES_TAILLES / chiffresPourNbCases : chiffres des tailles proposées
+    (4x4, 6x6, 9x9 et 16x16).
+  - nbBits / bitsVersValeurs : utilitaires sur les masques de candidats.
+  - resoudreUniques / resoudreEssais : stratégies de résolution (étapes 1
+    et 2 de completeGrille).
+  - compteSolutions / resoudreExhaustif : recherche exhaustive (étape 3),
+    qui prouve l'absence de solution ou compte les solutions jusqu'à un plafond.
+  - epureUnique / casesSymetriques : création d'une grille à solution unique
+    en vidant des cases d'une grille pleine, avec symétrie optionnelle.
+  - hasardGraine / graineDuJour : tirage reproductible d'après une graine,
+    pour qu'une grille générée puisse être recréée (grille du jour).
+  - TECHNIQUES / prochaineDeduction / resoudreLogique / noteGrille : résolution
+    par techniques « humaines » nommées et note de difficulté d'une grille.
+  - chercheIndice : prochain placement logique, pour le bouton « Indice ».
+  - analyseTexteGrilles / exporteTexteGrille : lecture et écriture des formats
+    de fichiers de grilles.
+  - VARIANTES / analyseTexteVariante / texteVariante : variantes de règles et
+    en-tête « variante: » de leurs fichiers.
+  - lisTexteGrilles : lecture d'un fichier de grille(s), de variante ou non,
+    pour un plateau donné (taille et variante retenues).
+  - executeCalcul / completeGrille : résolution, comptage des solutions et
+    génération, pour le Web Worker TravailleurSudoku.js.
+  - resolutionPasAPas : résolution enregistrée action par action (chiffres
+    forcés, éliminations, essais, retours en arrière), pour la rejouer.
+  - diagnostiqueGrille / impassesGrille / noyauContradictoire : ce qui rend
+    une grille fausse ou insoluble (doublons, case sans candidat, données
+    contradictoires), pour retrouver une faute de saisie.
+*/
+
+/**
+ * GrilleSudoku
+ * Modèle en mémoire d'une grille carrée. Les régions (lignes, colonnes et
+ * carrés) sont calculées une fois à la construction, ainsi que la liste des
+ * régions de chaque case et la liste de ses cases reliées.
+ *
+ * Paramètres:
+ *  - pChiffres : chaîne des chiffres autorisés (par défaut '123456789') ; sa
+ *                longueur donne la taille de la grille. Les « carrés » sont des
+ *                rectangles hauteurCarre x largeurCarre (voir dimensionsCarre) :
+ *                2x2 en 4x4, 2x3 en 6x6, 3x3 en 9x9, 4x4 en 16x16.
+ *  - pVariante : règles de la grille (par défaut { type: 'classique' }) :
+ *                'x' ajoute les deux diagonales, 'hyper' les fenêtres
+ *                intérieures, 'jigsaw' remplace les carrés par `zones` (numéro
+ *                de zone de chaque case), 'killer' ajoute `cages`
+ *                ([{ cases, somme }] : chiffres distincts de somme donnée) et
+ *                'samurai' assemble cinq grilles qui partagent leurs carrés de coin.
+ *
+ * Les cases sont numérotées ligne par ligne sur le plateau affiché
+ * (hauteurPlateau x largeurPlateau) : `positions[i]` donne la ligne et la
+ * colonne de la case i, `caseEn` la case de chaque position du plateau (-1
+ * hors grille). Le plateau n'a de trous qu'en Samouraï ; ailleurs c'est la
+ * grille elle-même et la case i est en ligne i / taille, colonne i % taille.
+ *
+ * Les cages ne sont pas des régions : une région contient chaque chiffre une
+ * fois, ce que supposent les techniques (single caché...). Les contraintes
+ * d'une cage sont appliquées par candidats() et ses cases sont reliées.
+ */
+class GrilleSudoku {
+    constructor(pChiffres, pVariante) {
+        this.chiffres = pChiffres || '123456789';
+        this.variante = pVariante || { type: 'classique' };
+        this.taille = this.chiffres.length;
+        [this.hauteurCarre, this.largeurCarre] = GrilleSudoku.dimensionsCarre(this.taille);
+        const vPlateau = GrilleSudoku.plateau(this.taille, this.variante);
+        this.hauteurPlateau = vPlateau.hauteur;
+        this.largeurPlateau = vPlateau.largeur;
+        this.positions = vPlateau.positions;
+        this.caseEn = vPlateau.caseEn;
+        this.nbCases = this.positions.length;
+        this.complet = (1 << this.taille) - 1;
+
+        // Type et libellé de chaque région, pour les techniques et les explications.
+        let vSamourai = null;
+        if (this.variante.type === 'samurai') {
+            vSamourai = GrilleSudoku.composeRegionsSamourai(this.taille, this.hauteurCarre, this.largeurCarre, vPlateau);
+            this.regions = vSamourai.regions;
+            this.typesRegions = vSamourai.types;
+        } else {
+            this.regions = GrilleSudoku.composeRegions(this.taille, this.hauteurCarre, this.largeurCarre, this.variante.zones);
+            this.typesRegions = this.regions.map((r, k) => ['ligne', 'colonne', this.variante.zones ? 'zone' : 'carré'][Math.floor(k / this.taille)]);
+        }
+        if (this.variante.type === 'x') {
+            for (const r of GrilleSudoku.composeDiagonales(this.taille)) {
+                this.regions.push(r);
+                this.typesRegions.push('diagonale');
+            }
+        } else if (this.variante.type === 'hyper') {
+            for (const r of GrilleSudoku.composeFenetres(this.taille, this.hauteurCarre, this.largeurCarre)) {
+                this.regions.push(r);
+                this.typesRegions.push('fenêtre');
+            }
+        }
+        const vNumeros = {};
+        this.nomsRegions = this.typesRegions.map(t => {
+            vNumeros[t] = (vNumeros[t] || 0) + 1;
+            if (t === 'diagonale') {
+                return 'la diagonale ' + (vNumeros[t] === 1 ? 'principale' : 'secondaire');
+            }
+            return (t === 'carré' ? 'le ' : 'la ') + t + ' ' + vNumeros[t];
+        });
+        if (vSamourai !== null) {
+            this.nomsRegions = vSamourai.noms;
+        }
+        this.cages = this.variante.cages || [];
+        this.cageDeCase = new Array(this.nbCases).fill(-1);
+        this.cages.forEach((c, k) => {
+            for (const i of c.cases) {
+                this.cageDeCase[i] = k;
+            }
+        });
+        this.regionsDeCase = [];
+        this.reliees = [];
+        for (let i = 0; i < this.nbCases; i++) {
+            this.regionsDeCase.push([]);
+        }
+        for (let r = 0; r < this.regions.length; r++) {
+            for (const i of this.regions[r]) {
+                this.regionsDeCase[i].push(r);
+            }
+        }
+        for (let i = 0; i < this.nbCases; i++) {
+            const vReliees = [];
+            const vGroupes = this.regionsDeCase[i].map(r => this.regions[r]);
+            if (this.cageDeCase[i] >= 0) {
+                vGroupes.push(this.cages[this.cageDeCase[i]].cases);
+            }
+            for (const vGroupe of vGroupes) {
+                for (const j of vGroupe) {
+                    if (j !== i && !vReliees.includes(j)) {
+                        vReliees.push(j);
+                    }
+                }
+            }
+            this.reliees.push(vReliees);
+        }
+
+        this.valeurs = new Array(this.nbCases).fill(0);
+        this.fixes = new Array(this.nbCases).fill(false);
+        this.notes = new Array(this.nbCases).fill(0);
+        this.masques = new Array(this.regions.length).fill(0);
+        this.comptes = new Array(this.regions.length * (this.taille + 1)).fill(0);
+    }
+
+    // Hauteur et largeur d'un carré : la hauteur est le plus grand diviseur de
+    // la taille qui ne dépasse pas sa racine carrée (carrés plus larges que hauts).
+    static dimensionsCarre(pTaille) {
+        let hauteur = Math.floor(Math.sqrt(pTaille));
+        while (pTaille % hauteur !== 0) {
+            hauteur--;
+        }
+        return [hauteur, pTaille / hauteur];
+    }
+
+    // Plateau affiché (voir la description de la classe) : la grille seule, ou
+    // en Samouraï les cinq grilles placées à leurs origines.
+    static plateau(pTaille, pVariante) {
+        const [vHauteurCarre, vLargeurCarre] = GrilleSudoku.dimensionsCarre(pTaille);
+        const vOrigines = pVariante && pVariante.type === 'samurai'
+            ? GrilleSudoku.originesSamourai(pTaille, vHauteurCarre, vLargeurCarre)
+            : [[0, 0]];
+        const hauteur = Math.max(...vOrigines.map(o => o[0])) + pTaille;
+        const largeur = Math.max(...vOrigines.map(o => o[1])) + pTaille;
+        const vDansGrille = new Array(hauteur * largeur).fill(false);
+        for (const [lig0, col0] of vOrigines) {
+            for (let lig = lig0; lig < lig0 + pTaille; lig++) {
+                vDansGrille.fill(true, lig * largeur + col0, lig * largeur + col0 + pTaille);
+            }
+        }
+        const positions = [];
+        const caseEn = vDansGrille.map((d, p) => {
+            if (!d) {
+                return -1;
+            }
+            positions.push([Math.floor(p / largeur), p % largeur]);
+            return positions.length - 1;
+        });
+        return { hauteur, largeur, positions, caseEn };
+    }
+
+    // Coin haut gauche des cinq grilles d'un Samouraï, dans l'ordre : haut
+    // gauche, haut droite, centre, bas gauche, bas droite. La grille centrale
+    // partage un carré avec chacune des quatre autres (en 9x9 : plateau 21x21).
+    static originesSamourai(pTaille, pHauteur, pLargeur) {
+        const vLig = pTaille - pHauteur;
+        const vCol = pTaille - pLargeur;
+        return [[0, 0], [0, 2 * vCol], [vLig, vCol], [2 * vLig, 0], [2 * vLig, 2 * vCol]];
+    }
+
+    // Régions d'un Samouraï : lignes, colonnes et carrés de chaque grille, un
+    // carré partagé n'étant compté qu'une fois (avec la première grille qui le
+    // contient). Renvoie { regions, types, noms }.
+    static composeRegionsSamourai(pTaille, pHauteur, pLargeur, pPlateau) {
+        const resultat = { regions: [], types: [], noms: [] };
+        const vCarres = new Set();
+        const vLocales = GrilleSudoku.composeRegions(pTaille, pHauteur, pLargeur);
+        GrilleSudoku.originesSamourai(pTaille, pHauteur, pLargeur).forEach(([lig0, col0], g) => {
+            vLocales.forEach((r, k) => {
+                const vType = ['ligne', 'colonne', 'carré'][Math.floor(k / pTaille)];
+                const vRegion = r.map(i => pPlateau.caseEn[(lig0 + Math.floor(i / pTaille)) * pPlateau.largeur + col0 + i % pTaille]);
+                if (vType === 'carré') {
+                    if (vCarres.has(vRegion[0])) {
+                        return;
+                    }
+                    vCarres.add(vRegion[0]);
+                }
+                resultat.regions.push(vRegion);
+                resultat.types.push(vType);
+                resultat.noms.push((vType === 'carré' ? 'le ' : 'la ') + vType + ' ' + (k % pTaille + 1) + ' de la grille ' + (g + 1));
+            });
+        });
+        return resultat;
+    }
+
+    // Construit les régions d'une grille carrée : d'abord les lignes, puis
+    // les colonnes, puis les carrés (chacune est une liste d'indices de cases).
+    // Avec `pZones` (Jigsaw), les carrés sont remplacés par les zones.
+    static composeRegions(pTaille, pHauteur, pLargeur, pZones) {
+        const resultat = [];
+        for (let lig = 0; lig < pTaille; lig++) {
+            const vLigne = [];
+            for (let col = 0; col < pTaille; col++) {
+                vLigne.push(lig * pTaille + col);
+            }
+            resultat.push(vLigne);
+        }
+        for (let col = 0; col < pTaille; col++) {
+            const vColonne = [];
+            for (let lig = 0; lig < pTaille; lig++) {
+                vColonne.push(lig * pTaille + col);
+            }
+            resultat.push(vColonne);
+        }
+        if (pZones) {
+            for (let zone = 0; zone < pTaille; zone++) {
+                resultat.push([]);
+            }
+            pZones.forEach((zone, i) => resultat[2 * pTaille + zone].push(i));
+            return resultat;
+        }
+        // Il y a pHauteur carrés par bande horizontale (pTaille / pLargeur).
+        for (let carre = 0; carre < pTaille; carre++) {
+            const prems = Math.floor(carre / pHauteur) * pHauteur * pTaille + (carre % pHauteur) * pLargeur;
+            const vCarre = [];
+            for (let lig = 0; lig < pHauteur; lig++) {
+                for (let col = 0; col < pLargeur; col++) {
+                    vCarre.push(prems + lig * pTaille + col);
+                }
+            }
+            resultat.push(vCarre);
+        }
+        return resultat;
+    }
+
+    // Les deux grandes diagonales (Sudoku X).
+    static composeDiagonales(pTaille) {
+        const vPrincipale = [];
+        const vSecondaire = [];
+        for (let k = 0; k < pTaille; k++) {
+            vPrincipale.push(k * pTaille + k);
+            vSecondaire.push(k * pTaille + (pTaille - 1 - k));
+        }
+        return [vPrincipale, vSecondaire];
+    }
+
+    // Fenêtres de l'Hyper Sudoku : des carrés décalés d'une case vers le bas
+    // et vers la droite, séparés d'une case (en 9x9 : lignes et colonnes 2-4
+    // et 6-8), tant qu'ils tiennent dans la grille.
+    static composeFenetres(pTaille, pHauteur, pLargeur) {
+        const resultat = [];
+        for (let lig0 = 1; lig0 + pHauteur <= pTaille; lig0 += pHauteur + 1) {
+            for (let col0 = 1; col0 + pLargeur <= pTaille; col0 += pLargeur + 1) {
+                const vFenetre = [];
+                for (let lig = lig0; lig < lig0 + pHauteur; lig++) {
+                    for (let col = col0; col < col0 + pLargeur; col++) {
+                        vFenetre.push(lig * pTaille + col);
+                    }
+                }
+                resultat.push(vFenetre);
+            }
+        }
+        return resultat;
+    }
+
+    // Vide toutes les cases, efface les notes et libère les cases fixes.
+    vide() {
+        this.valeurs.fill(0);
+        this.fixes.fill(false);
+        this.notes.fill(0);
+        this.masques.fill(0);
+        this.comptes.fill(0);
+    }
+
+    // Nom lisible d'une case, ex. 'L3C5' pour la ligne 3, colonne 5 (du
+    // plateau en Samouraï).
+    nomCase(pIndex) {
+        return 'L' + (this.positions[pIndex][0] + 1) + 'C' + (this.positions[pIndex][1] + 1);
+    }
+
+    valeur(pIndex) {
+        return this.valeurs[pIndex];
+    }
+
+    // Caractère affiché pour la case (chaîne vide si la case est libre).
+    chiffre(pIndex) {
+        const v = this.valeurs[pIndex];
+        return v === 0 ? '' : this.chiffres[v - 1];
+    }
+
+    // Convertit un caractère en valeur (0 si le caractère n'est pas un chiffre autorisé).
+    // La chaîne vide (case effacée) donne 0 : indexOf('') vaudrait 0, soit le chiffre 1.
+    valeurDe(pCar) {
+        return pCar.length === 1 ? this.chiffres.indexOf(pCar) + 1 : 0;
+    }
+
+    // Place la valeur `pValeur` (0 pour effacer) et met à jour les compteurs
+    // et masques des régions de la case.
+    place(pIndex, pValeur) {
+        const ancienne = this.valeurs[pIndex];
+        if (ancienne === pValeur) {
+            return;
+        }
+        const pas = this.taille + 1;
+        for (const r of this.regionsDeCase[pIndex]) {
+            if (ancienne !== 0) {
+                if (--this.comptes[r * pas + ancienne] === 0) {
+                    this.masques[r] &= ~(1 << (ancienne - 1));
+                }
+            }
+            if (pValeur !== 0) {
+                this.comptes[r * pas + pValeur]++;
+                this.masques[r] |= 1 << (pValeur - 1);
+            }
+        }
+        this.valeurs[pIndex] = pValeur;
+    }
+
+    placeChiffre(pIndex, pCar) {
+        this.place(pIndex, this.valeurDe(pCar));
+    }
+
+    efface(pIndex) {
+        this.place(pIndex, 0);
+    }
+
+    // Ajoute ou retire la note `pValeur` de la case.
+    basculeNote(pIndex, pValeur) {
+        this.notes[pIndex] ^= 1 << (pValeur - 1);
+    }
+
+    // Retire la note `pValeur` des cases reliées à `pIndex` ; renvoie les
+    // cases modifiées.
+    retireNoteReliees(pIndex, pValeur) {
+        const bit = 1 << (pValeur - 1);
+        const resultat = this.reliees[pIndex].filter(j => this.notes[j] & bit);
+        for (const j of resultat) {
+            this.notes[j] &= ~bit;
+        }
+        return resultat;
+    }
+
+    // Masque des valeurs compatibles avec les cases reliées. La valeur propre
+    // de la case n'est pas prise en compte (même règle que isValidEntry).
+    candidats(pIndex) {
+        const v = this.valeurs[pIndex];
+        const pas = this.taille + 1;
+        let utilises = 0;
+        for (const r of this.regionsDeCase[pIndex]) {
+            let m = this.masques[r];
+            if (v !== 0 && this.comptes[r * pas + v] === 1) {
+                m &= ~(1 << (v - 1));
+            }
+            utilises |= m;
+        }
+        const c = this.cageDeCase[pIndex];
+        return c < 0 ? this.complet & ~utilises : this.complet & ~utilises & this.candidatsCage(c, pIndex);
+    }
+
+    // Valeurs permises par la cage `pCage` dans la case `pIndex` : absentes des
+    // autres cases de la cage et laissant la somme atteignable, les autres
+    // cases libres devant recevoir des chiffres distincts encore disponibles
+    // (on compare le reste aux plus petits et plus grands chiffres possibles).
+    candidatsCage(pCage, pIndex) {
+        let utilises = 0;
+        let reste = this.cages[pCage].somme;
+        let nbLibres = 0;
+        for (const j of this.cages[pCage].cases) {
+            if (j === pIndex) {
+                continue;
+            }
+            if (this.valeurs[j] === 0) {
+                nbLibres++;
+            } else {
+                utilises |= 1 << (this.valeurs[j] - 1);
+                reste -= this.valeurs[j];
+            }
+        }
+        let resultat = 0;
+        for (let v = 1; v <= this.taille; v++) {
+            const bit = 1 << (v - 1);
+            if (utilises & bit) {
+                continue;
+            }
+            const vDispo = bitsVersValeurs(this.complet & ~utilises & ~bit);
+            if (vDispo.length < nbLibres) {
+                continue;
+            }
+            let min = 0;
+            let max = 0;
+            for (let k = 0; k < nbLibres; k++) {
+                min += vDispo[k];
+                max += vDispo[vDispo.length - 1 - k];
+            }
+            if (reste - v >= min && reste - v <= max) {
+                resultat |= bit;
+            }
+        }
+        return resultat;
+    }
+
+    // Erreurs d'une cage : chiffres en double et somme dépassée (ou différente
+    // de la somme demandée une fois la cage pleine), au format de conflits().
+    conflitsCage(pCage) {
+        const resultat = [];
+        const vCage = this.cages[pCage];
+        let total = 0;
+        let pleine = true;
+        for (let v = 1; v <= this.taille; v++) {
+            const vCases = vCage.cases.filter(j => this.valeurs[j] === v);
+            if (vCases.length > 1) {
+                resultat.push({ region: -1, cage: pCage, valeur: v, cases: vCases });
+            }
+        }
+        for (const j of vCage.cases) {
+            total += this.valeurs[j];
+            pleine = pleine && this.valeurs[j] !== 0;
+        }
+        if (total > vCage.somme || (pleine && total !== vCage.somme)) {
+            resultat.push({ region: -1, cage: pCage, valeur: 0, total, cases: vCage.cases.slice() });
+        }
+        return resultat;
+    }
+
+    estPossible(pIndex, pValeur) {
+        return pValeur > 0 && (this.candidats(pIndex) & (1 << (pValeur - 1))) !== 0;
+    }
+
+    // Candidats d'une case sous forme de chaîne de caractères (ex. '247').
+    chiffresPossibles(pIndex) {
+        return bitsVersValeurs(this.candidats(pIndex))
+            .map(v => this.chiffres[v - 1])
+            .join('');
+    }
+
+    casesLibres() {
+        const resultat = [];
+        for (let i = 0; i < this.nbCases; i++) {
+            if (this.valeurs[i] === 0) {
+                resultat.push(i);
+            }
+        }
+        return resultat;
+    }
+
+    estPleine() {
+        return !this.valeurs.includes(0);
+    }
+
+    // Vrai si aucune région ne contient deux fois le même chiffre et si
+    // aucune cage n'est en erreur.
+    estCoherente() {
+        return this.comptes.every(n => n <= 1) && this.cages.every((c, k) => this.conflitsCage(k).length === 0);
+    }
+
+    sauve() {
+        return this.valeurs.slice();
+    }
+
+    restaure(pValeurs) {
+        for (let i = 0; i < this.nbCases; i++) {
+            this.place(i, pValeurs[i]);
+        }
+    }
+
+    // Doublons : pour chaque région et chaque chiffre qui y figure plusieurs
+    // fois, { region, valeur, cases } ; puis les erreurs des cages
+    // ({ region: -1, cage, valeur, cases }, valeur 0 et `total` pour une somme).
+    conflits() {
+        const resultat = [];
+        const pas = this.taille + 1;
+        for (let r = 0; r < this.regions.length; r++) {
+            for (let v = 1; v <= this.taille; v++) {
+                if (this.comptes[r * pas + v] > 1) {
+                    resultat.push({ region: r, valeur: v, cases: this.regions[r].filter(j => this.valeurs[j] === v) });
+                }
+            }
+        }
+        for (let k = 0; k < this.cages.length; k++) {
+            resultat.push(...this.conflitsCage(k));
+        }
+        return resultat;
+    }
+
+    // Description lisible d'un conflit renvoyé par conflits().
+    decritConflit(pConflit) {
+        const vCases = ' (' + pConflit.cases.map(j => this.nomCase(j)).join(', ') + ')';
+        if (pConflit.region < 0) {
+            const vCage = 'la cage de somme ' + this.cages[pConflit.cage].somme;
+            if (pConflit.valeur === 0) {
+                return vCage + vCases + ' totalise ' + pConflit.total;
+            }
+            return 'le ' + this.chiffres[pConflit.valeur - 1] + ' apparaît ' + pConflit.cases.length + ' fois dans ' + vCage + vCases;
+        }
+        return 'le ' + this.chiffres[pConflit.valeur - 1] + ' apparaît ' + pConflit.cases.length + ' fois dans '
+            + this.nomsRegions[pConflit.region] + ' (' + pConflit.cases.map(j => this.nomCase(j)).join(', ') + ')';
+    }
+
+    // Copie de l'état complet (valeurs, cases fixes, notes), pour l'historique
+    // des coups et la sauvegarde.
+    instantane() {
+        return { valeurs: this.sauve(), fixes: this.fixes.slice(), notes: this.notes.slice() };
+    }
+
+    restaureInstantane(pEtat) {
+        this.restaure(pEtat.valeurs);
+        this.fixes = pEtat.fixes.slice();
+        this.notes = pEtat.notes.slice();
+    }
+
+    // Charge une chaîne d'un caractère par case ; tout caractère qui n'est pas
+    // un chiffre autorisé ('0', '.', ...) donne une case vide.
+    chargeChaine(pTexte) {
+        this.vide();
+        const n = Math.min(pTexte.length, this.nbCases);
+        for (let i = 0; i < n; i++) {
+            this.placeChiffre(i, pTexte[i]);
+        }
+    }
+
+    // Représentation en une ligne, '0' pour les cases vides (format des fichiers Grilles/).
+    versChaine() {
+        let resultat = '';
+        for (let i = 0; i < this.nbCases; i++) {
+            resultat += this.valeurs[i] === 0 ? '0' : this.chiffres[this.valeurs[i] - 1];
+        }
+        return resultat;
+    }
+
+    cloner() {
+        const resultat = new GrilleSudoku(this.chiffres, this.variante);
+        resultat.restaure(this.valeurs);
+        resultat.fixes = this.fixes.slice();
+        resultat.notes = this.notes.slice();
+        return resultat;
+    }
+}
+
+// Chiffres de chaque taille de grille proposée ; au-delà de 9, les lettres
+// A, B, ... complètent les chiffres (16x16 : 1 à 9 puis A à G).
+const CHIFFRES_TAILLES = {
+    4: '1234',
+    6: '123456',
+    9: '123456789',
+    16: '123456789ABCDEFG'
+};
+
+// Chiffres de la taille ayant `pNbCases` cases (null si aucune ne convient) ;
+// en Samouraï (`pVariante`), les cases des cinq grilles sont comptées.
+function chiffresPourNbCases(pNbCases, pVariante) {
+    const vChiffres = Object.values(CHIFFRES_TAILLES)
+        .find(c => GrilleSudoku.plateau(c.length, pVariante).positions.length === pNbCases);
+    return vChiffres === undefined ? null : vChiffres;
+}
+
+// Nombre de bits levés dans un masque de candidats.
+function nbBits(pMasque) {
+    let n = 0;
+    while (pMasque) {
+        pMasque &= pMasque - 1;
+        n++;
+    }
+    return n;
+}
+
+// Liste des valeurs (1..taille) correspondant aux bits levés d'un masque.
+function bitsVersValeurs(pMasque) {
+    const resultat = [];
+    for (let v = 1; pMasque; v++, pMasque >>= 1) {
+        if (pMasque & 1) {
+            resultat.push(v);
+        }
+    }
+    return resultat;
+}
+
+/*
+  Stratégies de résolution. Chacune travaille directement sur un modèle
+  GrilleSudoku ; l'affichage éventuel est laissé à l'appelant.
+*/
+
+/*
+  Les stratégies acceptent un `pJournal` facultatif, appelé à chaque action
+  pour la lecture pas à pas (voir resolutionPasAPas) :
+  pJournal(type, case, valeur, grille, region) où `type` vaut 'placement'
+  (chiffre forcé : seul candidat de la case, ou seule place du chiffre dans
+  la région `region`), 'essai' (chiffre supposé) ou 'retour' (l'essai mène à
+  une contradiction ; la case est déjà revidée). `grille` est la grille
+  après l'action.
+*/
+
+// Etape 1 : remplit les cases n'ayant qu'un seul candidat, tant que des
+// progrès sont faits. Renvoie le nombre de cases remplies.
+function resoudreUniques(pGrille, pJournal) {
+    let nbPlaces = 0;
+    let change;
+    do {
+        change = false;
+        for (const i of pGrille.casesLibres()) {
+            const vCandidats = pGrille.candidats(i);
+            if (nbBits(vCandidats) === 1) {
+                pGrille.place(i, bitsVersValeurs(vCandidats)[0]);
+                if (pJournal) {
+                    pJournal('placement', i, pGrille.valeur(i), pGrille);
+                }
+                nbPlaces++;
+                change = true;
+            }
+        }
+    } while (change);
+    return nbPlaces;
+}
+
+// Etape 2 : pour chaque case libre, essaie tour à tour ses candidats suivis de
+// l'étape 1 ; on garde le premier essai qui remplit la grille, sinon on
+// restaure l'état précédent l'essai.
+function resoudreEssais(pGrille, pJournal) {
+    for (const i of pGrille.casesLibres()) {
+        const sauvegarde = pGrille.sauve();
+        for (const v of bitsVersValeurs(pGrille.candidats(i))) {
+            pGrille.place(i, v);
+            if (pJournal) {
+                pJournal('essai', i, v, pGrille);
+            }
+            resoudreUniques(pGrille, pJournal);
+            if (pGrille.estPleine()) {
+                return true;
+            }
+            pGrille.restaure(sauvegarde);
+            if (pJournal) {
+                pJournal('retour', i, v, pGrille);
+            }
+        }
+    }
+    return pGrille.estPleine();
+}
+
+// Recherche exhaustive en profondeur : on développe toujours la case libre
+// ayant le moins de candidats (MRV) et on revient en arrière dès qu'une case
+// n'en a plus. Un chiffre qui n'a plus qu'une place dans une région est
+// placé d'office (et la branche est abandonnée s'il n'en a plus aucune) :
+// sans cela, prouver l'unicité d'une grille 16x16 peu remplie est trop long.
+// Compte les solutions jusqu'à `pMax` sans modifier `pGrille`.
+// Si `pHasard` (fonction renvoyant un nombre dans [0, 1[) est fourni, l'ordre
+// des candidats est tiré au hasard, sinon ils sont essayés par ordre croissant.
+// Renvoie { nombre, solution, abandon } : `solution` contient les valeurs de
+// la première solution trouvée (null si aucune). Avec `pLimite`, la recherche
+// s'arrête après ce nombre de cases développées et `abandon` est vrai : le
+// nombre de solutions n'est alors pas connu. `pProgression`, s'il est
+// fourni, reçoit le nombre de cases développées toutes les PAS_PROGRESSION.
+// `pJournal` : voir plus haut (un chiffre seul possible est un placement, un
+// choix entre plusieurs un essai).
+const PAS_PROGRESSION = 5000;
+function compteSolutions(pGrille, pMax, pHasard, pLimite, pProgression, pJournal) {
+    const vGrille = pGrille.cloner();
+    const resultat = { nombre: 0, solution: null, abandon: false };
+    let vNoeuds = 0;
+    if (vGrille.estCoherente()) {
+        explore();
+    }
+    return resultat;
+
+    function explore() {
+        vNoeuds++;
+        if (pLimite && vNoeuds > pLimite) {
+            resultat.abandon = true;
+            return;
+        }
+        if (pProgression && vNoeuds % PAS_PROGRESSION === 0) {
+            pProgression(vNoeuds);
+        }
+        let meilleure = -1;
+        let meilleurMasque = 0;
+        let meilleurNb = vGrille.taille + 1;
+        let vRegion;
+        for (let i = 0; i < vGrille.nbCases && meilleurNb > 1; i++) {
+            if (vGrille.valeurs[i] === 0) {
+                const m = vGrille.candidats(i);
+                const n = nbBits(m);
+                if (n === 0) {
+                    return;
+                }
+                if (n < meilleurNb) {
+                    meilleure = i;
+                    meilleurMasque = m;
+                    meilleurNb = n;
+                }
+            }
+        }
+        if (meilleure !== -1 && meilleurNb > 1) {
+            for (let r = 0; r < vGrille.regions.length; r++) {
+                const manquants = vGrille.complet & ~vGrille.masques[r];
+                let auMoinsUne = 0;
+                let plusieurs = 0;
+                for (const j of vGrille.regions[r]) {
+                    if (vGrille.valeurs[j] === 0) {
+                        const m = vGrille.candidats(j);
+                        plusieurs |= auMoinsUne & m;
+                        auMoinsUne |= m;
+                    }
+                }
+                if (manquants & ~auMoinsUne) {
+                    return;
+                }
+                const uniques = manquants & ~plusieurs;
+                if (uniques) {
+                    const bit = uniques & -uniques;
+                    meilleure = vGrille.regions[r].find(j => vGrille.valeurs[j] === 0 && (vGrille.candidats(j) & bit));
+                    meilleurMasque = bit;
+                    vRegion = r;
+                    break;
+                }
+            }
+        }
+        if (meilleure === -1) {
+            resultat.nombre++;
+            if (resultat.solution === null) {
+                resultat.solution = vGrille.sauve();
+            }
+            return;
+        }
+        const vValeurs = bitsVersValeurs(meilleurMasque);
+        if (pHasard) {
+            melange(vValeurs, pHasard);
+        }
+        for (const v of vValeurs) {
+            vGrille.place(meilleure, v);
+            if (pJournal) {
+                pJournal(vValeurs.length > 1 ? 'essai' : 'placement', meilleure, v, vGrille, vRegion);
+            }
+            explore();
+            if (resultat.nombre >= pMax || resultat.abandon) {
+                break;
+            }
+            if (pJournal && vValeurs.length > 1) {
+                vGrille.place(meilleure, 0);
+                pJournal('retour', meilleure, v, vGrille);
+            }
+        }
+        vGrille.place(meilleure, 0);
+    }
+}
+
+// Etape 3 : complète `pGrille` avec la première solution trouvée par la
+// recherche exhaustive. Renvoie faux (grille inchangée) s'il n'y en a aucune.
+function resoudreExhaustif(pGrille, pHasard, pProgression) {
+    const vRecherche = compteSolutions(pGrille, 1, pHasard, 0, pProgression);
+    if (vRecherche.solution === null) {
+        return false;
+    }
+    pGrille.restaure(vRecherche.solution);
+    return true;
+}
+
+// Symétries proposées pour l'épuration : chaque case libérée entraîne ses
+// cases symétriques.
+const SYMETRIES = ['aucune', 'rotation', 'miroir', 'diagonale'];
+
+// Cases liées à `pIndex` par la symétrie `pSymetrie` (la case elle-même
+// comprise, sans doublon) :
+// - 'rotation'  : rotation d'un demi-tour autour du centre ;
+// - 'miroir'    : reflet gauche/droite par rapport à la colonne centrale ;
+// - 'diagonale' : reflet par rapport à la diagonale principale.
+// Les positions sont celles du plateau (symétrique aussi en Samouraï).
+function casesSymetriques(pGrille, pIndex, pSymetrie) {
+    const h = pGrille.hauteurPlateau;
+    const w = pGrille.largeurPlateau;
+    const [lig, col] = pGrille.positions[pIndex];
+    let vAutre = pIndex;
+    if (pSymetrie === 'rotation') {
+        vAutre = pGrille.caseEn[(h - 1 - lig) * w + (w - 1 - col)];
+    } else if (pSymetrie === 'miroir') {
+        vAutre = pGrille.caseEn[lig * w + (w - 1 - col)];
+    } else if (pSymetrie === 'diagonale' && h === w) {
+        vAutre = pGrille.caseEn[col * w + lig];
+    }
+    return vAutre === pIndex || vAutre < 0 ? [pIndex] : [pIndex, vAutre];
+}
+
+// Vide jusqu'à `pNbCases` cases de la grille pleine `pGrille` en conservant
+// une solution unique : une case (avec ses cases symétriques) n'est retirée
+// que si la grille obtenue n'a toujours qu'une solution. Les cases sont
+// visitées dans un ordre tiré par `pHasard`. Renvoie le nombre de cases
+// effectivement vidées, qui peut être inférieur à `pNbCases` lorsqu'aucune
+// case supplémentaire ne peut être retirée sans perdre l'unicité.
+// `pProgression(k, n)`, s'il est fourni, est appelé après chacune des n
+// cases visitées. Une case
+// dont le retrait demande une recherche de plus de LIMITE_EPURATION cases
+// développées est gardée : cela borne la durée sur les grandes grilles, au
+// prix de quelques cases vidées en moins.
+const LIMITE_EPURATION = 20000;
+function epureUnique(pGrille, pNbCases, pSymetrie, pHasard, pProgression) {
+    const vOrdre = [];
+    for (let i = 0; i < pGrille.nbCases; i++) {
+        vOrdre.push(i);
+    }
+    melange(vOrdre, pHasard || Math.random);
+    let nbVidees = 0;
+    for (let vRang = 0; vRang < vOrdre.length; vRang++) {
+        const i = vOrdre[vRang];
+        if (nbVidees >= pNbCases) {
+            break;
+        }
+        if (pProgression) {
+            pProgression(vRang + 1, vOrdre.length);
+        }
+        const vGroupe = casesSymetriques(pGrille, i, pSymetrie)
+            .filter(j => pGrille.valeur(j) !== 0);
+        if (vGroupe.length === 0 || nbVidees + vGroupe.length > pNbCases) {
+            continue;
+        }
+        const vAnciennes = vGroupe.map(j => pGrille.valeur(j));
+        for (const j of vGroupe) {
+            pGrille.efface(j);
+        }
+        const vRecherche = compteSolutions(pGrille, 2, null, LIMITE_EPURATION);
+        if (vRecherche.nombre === 1 && !vRecherche.abandon) {
+            for (const j of vGroupe) {
+                pGrille.fixes[j] = false;
+            }
+            nbVidees += vGroupe.length;
+        } else {
+            vGroupe.forEach((j, k) => pGrille.place(j, vAnciennes[k]));
+        }
+    }
+    return nbVidees;
+}
+
+// Mélange de Fisher-Yates, sur place.
+function melange(pTableau, pHasard) {
+    for (let i = pTableau.length - 1; i > 0; i--) {
+        const j = Math.floor(pHasard() * (i + 1));
+        const tmp = pTableau[i];
+        pTableau[i] = pTableau[j];
+        pTableau[j] = tmp;
+    }
+    return pTableau;
+}
+
+// Tirage pseudo-aléatoire reproductible : la même graine (texte ou nombre)
+// donne toujours la même suite de nombres de [0, 1[, utilisable comme
+// `pHasard` par compteSolutions, resoudreExhaustif ou epureUnique. La graine
+// est réduite à 32 bits (FNV-1a), puis les nombres tirés par mulberry32.
+function hasardGraine(pGraine) {
+    const vTexte = String(pGraine);
+    let h = 0x811c9dc5;
+    for (let k = 0; k < vTexte.length; k++) {
+        h = Math.imul(h ^ vTexte.charCodeAt(k), 0x01000193);
+    }
+    let a = h >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Graine de la grille du jour : la date locale de `pDate` au format
+// AAAA-MM-JJ, la même pour tous les joueurs d'un même jour.
+function graineDuJour(pDate) {
+    return pDate.getFullYear() + '-' + String(pDate.getMonth() + 1).padStart(2, '0')
+        + '-' + String(pDate.getDate()).padStart(2, '0');
+}
+
+/*
+  Résolution logique. Les techniques travaillent sur un tableau de masques de
+  candidats (un par case, 0 pour une case remplie) que l'on réduit au fil des
+  déductions, en plus du modèle lui-même. Chaque technique renvoie la
+  première déduction trouvée, ou null :
+    {
+      technique, niveau  : ajoutés par prochaineDeduction ;
+      placement          : { case, valeur } ou null ;
+      eliminations       : [{ case, valeur }] (candidats retirés) ;
+      cases, regions     : cases et régions qui justifient la déduction ;
+      explication        : phrase décrivant la déduction.
+    }
+*/
+
+// Libellés des niveaux de difficulté (indice = niveau).
+const NIVEAUX = ['', 'Facile', 'Moyen', 'Difficile', 'Diabolique'];
+
+// Techniques essayées dans l'ordre ; après chaque déduction on repart de la
+// première. Le niveau sert à noter la difficulté d'une grille.
+const TECHNIQUES = [
+    { nom: 'Single nu', niveau: 1, cherche: singleNu },
+    { nom: 'Single caché', niveau: 1, cherche: singleCache },
+    { nom: 'Paire nue', niveau: 2, cherche: (g, c) => sousEnsembleNu(g, c, 2, 'paire nue') },
+    { nom: 'Paire cachée', niveau: 2, cherche: (g, c) => sousEnsembleCache(g, c, 2, 'paire cachée') },
+    { nom: 'Triple nu', niveau: 3, cherche: (g, c) => sousEnsembleNu(g, c, 3, 'triple nu') },
+    { nom: 'Triple caché', niveau: 3, cherche: (g, c) => sousEnsembleCache(g, c, 3, 'triple caché') },
+    { nom: 'Pointage / réclamation', niveau: 2, cherche: intersection },
+    { nom: 'X-Wing', niveau: 3, cherche: (g, c) => poisson(g, c, 2, 'X-Wing') },
+    { nom: 'Swordfish', niveau: 4, cherche: (g, c) => poisson(g, c, 3, 'Swordfish') },
+    { nom: 'XY-Wing', niveau: 4, cherche: xyWing },
+    { nom: 'Coloriage simple', niveau: 4, cherche: coloriageSimple }
+];
+
+// Au-delà de ce nombre de déductions d'un niveau supérieur à 1, la note est
+// relevée d'un cran : une grille qui demande beaucoup de paires est plus dure
+// qu'une grille qui n'en demande qu'une.
+const SEUIL_ETAPES_AVANCEES = 10;
+
+function creeCandidats(pGrille) {
+    const resultat = [];
+    for (let i = 0; i < pGrille.nbCases; i++) {
+        resultat.push(pGrille.valeur(i) === 0 ? pGrille.candidats(i) : 0);
+    }
+    return resultat;
+}
+
+// Première déduction trouvée par les techniques, dans l'ordre de TECHNIQUES.
+function prochaineDeduction(pGrille, pCands) {
+    for (const vTechnique of TECHNIQUES) {
+        const d = vTechnique.cherche(pGrille, pCands);
+        if (d !== null) {
+            d.technique = vTechnique.nom;
+            d.niveau = vTechnique.niveau;
+            return d;
+        }
+    }
+    return null;
+}
+
+function appliqueDeduction(pGrille, pCands, pDeduction) {
+    if (pDeduction.placement !== null) {
+        const i = pDeduction.placement.case;
+        const bit = 1 << (pDeduction.placement.valeur - 1);
+        pGrille.place(i, pDeduction.placement.valeur);
+        pCands[i] = 0;
+        for (const j of pGrille.reliees[i]) {
+            pCands[j] &= ~bit;
+        }
+        // Killer : la somme restante de la cage restreint ses autres cases.
+        if (pGrille.cageDeCase[i] >= 0) {
+            for (const j of pGrille.cages[pGrille.cageDeCase[i]].cases) {
+                pCands[j] &= pGrille.valeur(j) === 0 ? pGrille.candidats(j) : 0;
+            }
+        }
+    }
+    for (const e of pDeduction.eliminations) {
+        pCands[e.case] &= ~(1 << (e.valeur - 1));
+    }
+}
+
+// Applique les techniques jusqu'à ce que la grille soit pleine ou qu'aucune ne
+// s'applique plus. `pGrille` n'est pas modifiée. Renvoie la grille obtenue,
+// la liste des déductions et si la grille a été entièrement résolue.
+function resoudreLogique(pGrille) {
+    const vGrille = pGrille.cloner();
+    const vCands = creeCandidats(vGrille);
+    const etapes = [];
+    let d;
+    while (!vGrille.estPleine() && (d = prochaineDeduction(vGrille, vCands)) !== null) {
+        appliqueDeduction(vGrille, vCands, d);
+        etapes.push(d);
+    }
+    return { grille: vGrille, etapes, resolue: vGrille.estPleine() };
+}
+
+// Indice : prochain placement que les techniques permettent de déduire sur
+// la grille. Les éliminations nécessaires pour y arriver (paires, X-Wing...)
+// sont renvoyées dans `preparation`. Renvoie null si aucune technique ne
+// permet de placer un chiffre.
+function chercheIndice(pGrille) {
+    const vGrille = pGrille.cloner();
+    const vCands = creeCandidats(vGrille);
+    const preparation = [];
+    let d;
+    while ((d = prochaineDeduction(vGrille, vCands)) !== null) {
+        if (d.placement !== null) {
+            return { deduction: d, preparation };
+        }
+        appliqueDeduction(vGrille, vCands, d);
+        preparation.push(d);
+    }
+    return null;
+}
+
+// Note de difficulté : le niveau de la technique la plus difficile utilisée,
+// relevé d'un cran si plus de SEUIL_ETAPES_AVANCEES déductions au-delà des
+// singles ont été nécessaires. Une grille que les techniques ne suffisent pas
+// à résoudre (il faut faire des essais) est « Diabolique ».
+function noteGrille(pGrille) {
+    const vResolution = resoudreLogique(pGrille);
+    let niveau = 1;
+    let techniqueMax = TECHNIQUES[0].nom;
+    let nbAvancees = 0;
+    for (const d of vResolution.etapes) {
+        if (d.niveau > niveau) {
+            niveau = d.niveau;
+            techniqueMax = d.technique;
+        }
+        if (d.niveau > 1) {
+            nbAvancees++;
+        }
+    }
+    if (!vResolution.resolue) {
+        niveau = NIVEAUX.length - 1;
+        techniqueMax = 'Essais';
+    } else if (nbAvancees > SEUIL_ETAPES_AVANCEES && niveau < NIVEAUX.length - 1) {
+        niveau++;
+    }
+    return {
+        niveau,
+        libelle: NIVEAUX[niveau],
+        techniqueMax,
+        nbEtapes: vResolution.etapes.length,
+        resolue: vResolution.resolue
+    };
+}
+
+// Candidats `pMasque` présents dans les cases `pCases` (hors `pExclues`),
+// sous forme de liste d'éliminations.
+function eliminationsDans(pCands, pCases, pMasque, pExclues) {
+    const resultat = [];
+    for (const j of pCases) {
+        if (pExclues && pExclues.includes(j)) {
+            continue;
+        }
+        for (const v of bitsVersValeurs(pCands[j] & pMasque)) {
+            resultat.push({ case: j, valeur: v });
+        }
+    }
+    return resultat;
+}
+
+// Toutes les combinaisons de `pK` éléments de `pTableau`.
+function combinaisons(pTableau, pK) {
+    const resultat = [];
+    const vCourante = [];
+    (function suite(debut) {
+        if (vCourante.length === pK) {
+            resultat.push(vCourante.slice());
+            return;
+        }
+        for (let i = debut; i < pTableau.length; i++) {
+            vCourante.push(pTableau[i]);
+            suite(i + 1);
+            vCourante.pop();
+        }
+    })(0);
+    return resultat;
+}
+
+function listeChiffres(pGrille, pMasque) {
+    return bitsVersValeurs(pMasque).map(v => pGrille.chiffres[v - 1]).join(', ');
+}
+
+// Single nu : la case n'a plus qu'un candidat.
+function singleNu(pGrille, pCands) {
+    for (let i = 0; i < pGrille.nbCases; i++) {
+        if (pCands[i] !== 0 && nbBits(pCands[i]) === 1) {
+            const v = bitsVersValeurs(pCands[i])[0];
+            return {
+                placement: { case: i, valeur: v },
+                eliminations: [],
+                cases: [i],
+                regions: pGrille.regionsDeCase[i].slice(),
+                explication: 'seul ' + pGrille.chiffres[v - 1] + ' possible dans la case ' + pGrille.nomCase(i)
+            };
+        }
+    }
+    return null;
+}
+
+// Single caché : dans une région, un chiffre n'a plus qu'une case possible.
+function singleCache(pGrille, pCands) {
+    for (let r = 0; r < pGrille.regions.length; r++) {
+        for (let v = 1; v <= pGrille.taille; v++) {
+            const bit = 1 << (v - 1);
+            if (pGrille.masques[r] & bit) {
+                continue;
+            }
+            const vCases = pGrille.regions[r].filter(j => pCands[j] & bit);
+            if (vCases.length === 1) {
+                return {
+                    placement: { case: vCases[0], valeur: v },
+                    eliminations: [],
+                    cases: [vCases[0]],
+                    regions: [r],
+                    explication: 'seul emplacement possible pour le ' + pGrille.chiffres[v - 1] + ' dans '
+                        + pGrille.nomsRegions[r] + ' : case ' + pGrille.nomCase(vCases[0])
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Paire / triple nu : `pK` cases d'une région n'ont à elles toutes que `pK`
+// candidats ; ces candidats sont retirés des autres cases de la région.
+function sousEnsembleNu(pGrille, pCands, pK, pNom) {
+    for (let r = 0; r < pGrille.regions.length; r++) {
+        const vLibres = pGrille.regions[r].filter(j => pCands[j] !== 0 && nbBits(pCands[j]) <= pK);
+        for (const vCombo of combinaisons(vLibres, pK)) {
+            const vUnion = vCombo.reduce((m, j) => m | pCands[j], 0);
+            if (nbBits(vUnion) !== pK) {
+                continue;
+            }
+            const vElims = eliminationsDans(pCands, pGrille.regions[r], vUnion, vCombo);
+            if (vElims.length > 0) {
+                return {
+                    placement: null,
+                    eliminations: vElims,
+                    cases: vCombo,
+                    regions: [r],
+                    explication: pNom + ' {' + listeChiffres(pGrille, vUnion) + '} dans ' + pGrille.nomsRegions[r]
+                        + ' (' + vCombo.map(j => pGrille.nomCase(j)).join(', ')
+                        + ') : ces chiffres sont retirés des autres cases'
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Paire / triple caché : `pK` chiffres d'une région n'ont à eux tous que `pK`
+// cases possibles ; les autres candidats de ces cases sont retirés.
+function sousEnsembleCache(pGrille, pCands, pK, pNom) {
+    for (let r = 0; r < pGrille.regions.length; r++) {
+        const vValeurs = [];
+        for (let v = 1; v <= pGrille.taille; v++) {
+            const bit = 1 << (v - 1);
+            const n = pGrille.regions[r].filter(j => pCands[j] & bit).length;
+            if (!(pGrille.masques[r] & bit) && n > 0 && n <= pK) {
+                vValeurs.push(v);
+            }
+        }
+        for (const vCombo of combinaisons(vValeurs, pK)) {
+            const vMasque = vCombo.reduce((m, v) => m | (1 << (v - 1)), 0);
+            const vCases = pGrille.regions[r].filter(j => pCands[j] & vMasque);
+            if (vCases.length !== pK) {
+                continue;
+            }
+            const vElims = eliminationsDans(pCands, vCases, pGrille.complet & ~vMasque);
+            if (vElims.length > 0) {
+                return {
+                    placement: null,
+                    eliminations: vElims,
+                    cases: vCases,
+                    regions: [r],
+                    explication: pNom + ' {' + listeChiffres(pGrille, vMasque) + '} dans ' + pGrille.nomsRegions[r]
+                        + ' : ces chiffres ne peuvent aller que dans '
+                        + vCases.map(j => pGrille.nomCase(j)).join(', ')
+                        + ', les autres candidats de ces cases sont retirés'
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Pointage / réclamation : dans une région A, toutes les places possibles
+// d'un chiffre sont aussi dans une région B ; le chiffre est alors retiré
+// du reste de B. Réclamation quand A est une ligne ou une colonne, pointage
+// sinon (carré, zone, diagonale ou fenêtre).
+function intersection(pGrille, pCands) {
+    for (let a = 0; a < pGrille.regions.length; a++) {
+        for (let v = 1; v <= pGrille.taille; v++) {
+            const bit = 1 << (v - 1);
+            const vCases = pGrille.regions[a].filter(j => pCands[j] & bit);
+            if (vCases.length < 2) {
+                continue;
+            }
+            const vCommunes = pGrille.regionsDeCase[vCases[0]]
+                .filter(b => b !== a && vCases.every(j => pGrille.regionsDeCase[j].includes(b)));
+            for (const b of vCommunes) {
+                const vElims = eliminationsDans(pCands, pGrille.regions[b], bit, vCases);
+                if (vElims.length > 0) {
+                    const vType = ['ligne', 'colonne'].includes(pGrille.typesRegions[a]) ? 'réclamation' : 'pointage';
+                    return {
+                        placement: null,
+                        eliminations: vElims,
+                        cases: vCases,
+                        regions: [a, b],
+                        explication: vType + ' : dans ' + pGrille.nomsRegions[a] + ', le ' + pGrille.chiffres[v - 1]
+                            + ' est forcément dans ' + pGrille.nomsRegions[b]
+                            + ' ; il est retiré des autres cases de ' + pGrille.nomsRegions[b]
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Région du type `pType` ('ligne', 'colonne', ...) contenant la case.
+function regionDeType(pGrille, pIndex, pType) {
+    return pGrille.regionsDeCase[pIndex].find(r => pGrille.typesRegions[r] === pType);
+}
+
+// X-Wing (pK = 2) / Swordfish (pK = 3) : dans `pK` lignes, les places d'un
+// chiffre se répartissent sur `pK` colonnes seulement ; le chiffre est retiré
+// de ces colonnes hors des lignes concernées (et inversement lignes/colonnes).
+// En Samouraï, deux lignes de grilles différentes peuvent se croiser dans un
+// carré partagé : les lignes de base doivent être disjointes, et une case de
+// la colonne n'est épargnée que si elle appartient à l'une d'elles.
+function poisson(pGrille, pCands, pK, pNom) {
+    for (const [vBase, vCouverture] of [['ligne', 'colonne'], ['colonne', 'ligne']]) {
+        for (let v = 1; v <= pGrille.taille; v++) {
+            const bit = 1 << (v - 1);
+            const vLignes = [];
+            for (let r = 0; r < pGrille.regions.length; r++) {
+                if (pGrille.typesRegions[r] !== vBase) {
+                    continue;
+                }
+                const vCases = pGrille.regions[r].filter(j => pCands[j] & bit);
+                if (vCases.length >= 2 && vCases.length <= pK) {
+                    vLignes.push({ region: r, cases: vCases, couvertes: vCases.map(j => regionDeType(pGrille, j, vCouverture)) });
+                }
+            }
+            for (const vCombo of combinaisons(vLignes, pK)) {
+                const vCouvertes = [];
+                for (const l of vCombo) {
+                    for (const c of l.couvertes) {
+                        if (!vCouvertes.includes(c)) {
+                            vCouvertes.push(c);
+                        }
+                    }
+                }
+                if (vCouvertes.length !== pK) {
+                    continue;
+                }
+                const vCasesBase = [].concat(...vCombo.map(l => l.cases));
+                const vBases = vCombo.map(l => l.region);
+                const vCasesLignes = [].concat(...vBases.map(r => pGrille.regions[r]));
+                if (new Set(vCasesLignes).size !== vCasesLignes.length) {
+                    continue;
+                }
+                const vElims = [];
+                for (const c of vCouvertes) {
+                    for (const j of pGrille.regions[c]) {
+                        if ((pCands[j] & bit) && !vCasesLignes.includes(j)) {
+                            vElims.push({ case: j, valeur: v });
+                        }
+                    }
+                }
+                if (vElims.length > 0) {
+                    return {
+                        placement: null,
+                        eliminations: vElims,
+                        cases: vCasesBase,
+                        regions: vBases.concat(vCouvertes),
+                        explication: pNom + ' sur le ' + pGrille.chiffres[v - 1] + ' : dans '
+                            + vBases.map(r => pGrille.nomsRegions[r]).join(', ') + ', il ne peut être que dans '
+                            + vCouvertes.map(r => pGrille.nomsRegions[r]).join(', ')
+                            + ' ; il est retiré des autres cases de ces ' + vCouverture + 's'
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// XY-Wing : un pivot {x,y} voit une pince {x,z} et une pince {y,z} ; l'une
+// des pinces vaut forcément z, qui est donc retiré des cases voyant les deux.
+function xyWing(pGrille, pCands) {
+    for (let p = 0; p < pGrille.nbCases; p++) {
+        if (nbBits(pCands[p]) !== 2) {
+            continue;
+        }
+        const vPinces = pGrille.reliees[p].filter(j => nbBits(pCands[j]) === 2 && nbBits(pCands[j] & pCands[p]) === 1);
+        for (const a of vPinces) {
+            for (const b of vPinces) {
+                const z = pCands[a] & ~pCands[p];
+                if (a >= b || (pCands[b] & ~pCands[p]) !== z || (pCands[a] & pCands[b] & pCands[p]) !== 0) {
+                    continue;
+                }
+                const vCibles = pGrille.reliees[a].filter(j => j !== p && j !== b && pGrille.reliees[b].includes(j));
+                const vElims = eliminationsDans(pCands, vCibles, z);
+                if (vElims.length > 0) {
+                    return {
+                        placement: null,
+                        eliminations: vElims,
+                        cases: [p, a, b],
+                        regions: [],
+                        explication: 'XY-Wing : pivot ' + pGrille.nomCase(p) + ' {' + listeChiffres(pGrille, pCands[p])
+                            + '}, pinces ' + pGrille.nomCase(a) + ' {' + listeChiffres(pGrille, pCands[a]) + '} et '
+                            + pGrille.nomCase(b) + ' {' + listeChiffres(pGrille, pCands[b]) + '} : le '
+                            + listeChiffres(pGrille, z) + ' est retiré des cases qui voient les deux pinces'
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Coloriage simple : les couples conjugués d'un chiffre (seules deux places
+// dans une région) forment des chaînes que l'on colorie en alternance. Deux
+// cases de même couleur qui se voient rendent cette couleur fausse ; une case
+// qui voit les deux couleurs ne peut pas contenir le chiffre.
+function coloriageSimple(pGrille, pCands) {
+    for (let v = 1; v <= pGrille.taille; v++) {
+        const bit = 1 << (v - 1);
+        const vLiens = new Map();
+        for (const vRegion of pGrille.regions) {
+            const vCases = vRegion.filter(j => pCands[j] & bit);
+            if (vCases.length === 2) {
+                for (const [x, y] of [vCases, vCases.slice().reverse()]) {
+                    if (!vLiens.has(x)) {
+                        vLiens.set(x, []);
+                    }
+                    vLiens.get(x).push(y);
+                }
+            }
+        }
+        const vCouleurs = new Map();
+        for (const vDepart of vLiens.keys()) {
+            if (vCouleurs.has(vDepart)) {
+                continue;
+            }
+            const vChaine = [[], []];
+            const vAVisiter = [vDepart];
+            vCouleurs.set(vDepart, 0);
+            while (vAVisiter.length > 0) {
+                const x = vAVisiter.pop();
+                vChaine[vCouleurs.get(x)].push(x);
+                for (const y of vLiens.get(x)) {
+                    if (!vCouleurs.has(y)) {
+                        vCouleurs.set(y, 1 - vCouleurs.get(x));
+                        vAVisiter.push(y);
+                    }
+                }
+            }
+            const vToutes = vChaine[0].concat(vChaine[1]);
+            for (let k = 0; k < 2; k++) {
+                const vConflit = vChaine[k].some(x => vChaine[k].some(y => x !== y && pGrille.reliees[x].includes(y)));
+                if (vConflit) {
+                    return {
+                        placement: null,
+                        eliminations: eliminationsDans(pCands, vChaine[k], bit),
+                        cases: vToutes,
+                        regions: [],
+                        explication: 'coloriage simple sur le ' + pGrille.chiffres[v - 1] + ' : deux cases de même couleur ('
+                            + vChaine[k].map(j => pGrille.nomCase(j)).join(', ')
+                            + ') se voient, le chiffre est retiré de toutes les cases de cette couleur'
+                    };
+                }
+            }
+            const vCibles = [];
+            for (let j = 0; j < pGrille.nbCases; j++) {
+                if ((pCands[j] & bit) && !vCouleurs.has(j)
+                    && vChaine[0].some(x => pGrille.reliees[j].includes(x))
+                    && vChaine[1].some(x => pGrille.reliees[j].includes(x))) {
+                    vCibles.push(j);
+                }
+            }
+            if (vCibles.length > 0) {
+                return {
+                    placement: null,
+                    eliminations: eliminationsDans(pCands, vCibles, bit),
+                    cases: vToutes,
+                    regions: [],
+                    explication: 'coloriage simple sur le ' + pGrille.chiffres[v - 1] + ' : '
+                        + vCibles.map(j => pGrille.nomCase(j)).join(', ')
+                        + ' voi(en)t les deux couleurs de la chaîne, le chiffre y est retiré'
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/*
+  Lecture des fichiers de grilles. Formats reconnus :
+  - un chiffre par ligne (fichiers du dossier Grilles/), ou plus généralement
+    tout texte dont on ne garde que les chiffres, '0' et '.' (case vide) ;
+  - une ligne de `nbCases` caractères, '.' ou '0' pour une case vide ;
+  - SadMan Software (.sdk) : lignes de commentaire commençant par '#' (#D pour
+    la description, #A pour l'auteur...), section [Puzzle] optionnelle, puis
+    une ligne par rangée ;
+  - collection : plusieurs lignes de `nbCases` caractères, une grille par
+    ligne ; le texte qui suit la grille sur la ligne sert de nom.
+*/
+
+// Renvoie { grilles: [{ valeurs, nom }], erreur } : `valeurs` est une chaîne
+// de `pNbCases` caractères ('0' pour une case vide), `erreur` un message si
+// aucune grille complète n'a pu être lue.
+function analyseTexteGrilles(pTexte, pNbCases, pChiffres) {
+    const vCars = pChiffres + '0.';
+    const normalise = t => t.split('').map(c => (pChiffres.includes(c) ? c : '0')).join('');
+    const vLignes = pTexte.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+    // Une grille par ligne (ligne unique ou collection)
+    const vGrilles = [];
+    for (const vLigne of vLignes) {
+        const t = vLigne.trim();
+        const vTete = t.substring(0, pNbCases);
+        if (vTete.length === pNbCases && vTete.split('').every(c => vCars.includes(c))
+            && (t.length === pNbCases || /\s/.test(t[pNbCases]))) {
+            vGrilles.push({ valeurs: normalise(vTete), nom: t.substring(pNbCases).trim() });
+        }
+    }
+    if (vGrilles.length > 0) {
+        vGrilles.forEach((g, k) => {
+            g.nom = g.nom || (vGrilles.length > 1 ? 'Grille ' + (k + 1) : '');
+        });
+        return { grilles: vGrilles, erreur: null };
+    }
+
+    // Une grille répartie sur plusieurs lignes (.sdk ou un chiffre par ligne)
+    let vDansGrille = !vLignes.some(l => /^\[puzzle\]/i.test(l.trim()));
+    let vNom = '';
+    let vValeurs = '';
+    for (const vLigne of vLignes) {
+        const t = vLigne.trim();
+        if (t.startsWith('#')) {
+            if (/^#D/.test(t)) {
+                vNom = t.substring(2).trim();
+            }
+            continue;
+        }
+        if (t.startsWith('[')) {
+            vDansGrille = /^\[puzzle\]/i.test(t);
+            continue;
+        }
+        if (vDansGrille) {
+            vValeurs += t.split('').filter(c => vCars.includes(c)).join('');
+        }
+    }
+    if (vValeurs.length === 0) {
+        return { grilles: [], erreur: 'Aucune grille reconnue dans le texte.' };
+    }
+    if (vValeurs.length !== pNbCases) {
+        return {
+            grilles: [],
+            erreur: 'La grille contient ' + vValeurs.length + ' case(s) au lieu de ' + pNbCases + '.'
+        };
+    }
+    return { grilles: [{ valeurs: normalise(vValeurs), nom: vNom }], erreur: null };
+}
+
+// Formats d'export : 'grilles' (un chiffre par ligne, '0' pour une case vide,
+// comme les fichiers du dossier Grilles/), 'ligne' (une ligne de nbCases
+// caractères, '.' pour une case vide) et 'json' (données, saisies du joueur et
+// notes séparées).
+const FORMATS_EXPORT = ['grilles', 'ligne', 'json'];
+
+// Hors grille classique, les formats texte sont précédés de l'en-tête de la
+// variante (texteVariante) et le JSON contient la variante.
+function exporteTexteGrille(pGrille, pFormat) {
+    const vEntete = pGrille.variante.type === 'classique' ? '' : texteVariante(pGrille);
+    if (pFormat === 'grilles') {
+        return vEntete + pGrille.versChaine().split('').join('\r\n') + '\r\n';
+    }
+    if (pFormat === 'ligne') {
+        return vEntete + pGrille.versChaine().replace(/0/g, '.');
+    }
+    let vDonnees = '';
+    let vSaisies = '';
+    const vNotes = [];
+    for (let i = 0; i < pGrille.nbCases; i++) {
+        const c = pGrille.valeur(i) === 0 ? '0' : pGrille.chiffre(i);
+        vDonnees += pGrille.fixes[i] ? c : '0';
+        vSaisies += pGrille.fixes[i] ? '0' : c;
+        vNotes.push(bitsVersValeurs(pGrille.notes[i]).map(v => pGrille.chiffres[v - 1]).join(''));
+    }
+    return JSON.stringify({
+        chiffres: pGrille.chiffres,
+        variante: pGrille.variante,
+        donnees: vDonnees,
+        saisies: vSaisies,
+        notes: vNotes
+    }, null, 2);
+}
+
+/*
+  Variantes de règles et format de leurs fichiers. Un fichier de variante
+  commence par une ligne « variante: <type> » suivie de sections :
+    zones:   (jigsaw) une ligne par ligne de la grille, un caractère par case ;
+             les cases de même caractère forment une zone ;
+    cages:   (killer) même disposition, un caractère par cage, '.' hors cage ;
+    sommes:  (killer) « caractère=somme » pour chaque cage, séparés par des
+             espaces ou des retours à la ligne ;
+    grille:  la grille, dans un des formats lus par analyseTexteGrilles
+             (facultative en killer : grille vide). En samurai, les cases des
+             cinq grilles sont lues ligne par ligne sur le plateau : par
+             exemple 21 lignes de 21 caractères, les trous entre les grilles
+             étant des espaces (ignorés).
+  Les lignes commençant par '#' sont des commentaires.
+*/
+const VARIANTES = {
+    classique: 'Classique',
+    x: 'Sudoku X',
+    hyper: 'Hyper (Windoku)',
+    jigsaw: 'Jigsaw',
+    killer: 'Killer',
+    samurai: 'Samouraï'
+};
+
+// Caractères utilisés par texteVariante pour nommer zones et cages ; au-delà
+// (cages d'une grille 16x16), on continue avec les lettres accentuées À, Á...
+const SYMBOLES_VARIANTE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+function symboleVariante(pNumero) {
+    return pNumero < SYMBOLES_VARIANTE.length
+        ? SYMBOLES_VARIANTE[pNumero]
+        : String.fromCharCode(0xC0 + pNumero - SYMBOLES_VARIANTE.length);
+}
+
+// Analyse l'en-tête d'un fichier de variante. Renvoie null si le texte ne
+// commence pas par « variante: », sinon { variante, taille, texteGrille, erreur }
+// où `taille` est déduite des zones ou des cages (0 si la variante n'en a pas).
+function analyseTexteVariante(pTexte) {
+    const vLignes = pTexte.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const vPremiere = vLignes.find(l => l.trim() !== '' && !l.trim().startsWith('#'));
+    if (vPremiere === undefined || !/^variante\s*:/i.test(vPremiere.trim())) {
+        return null;
+    }
+    const vSections = { variante: [], zones: [], cages: [], sommes: [], grille: [] };
+    let vSection = null;
+    for (const vLigne of vLignes) {
+        const t = vLigne.trim();
+        const vCle = /^(variante|zones|cages|sommes|grille)\s*:\s*(.*)$/i.exec(t);
+        if (vCle !== null) {
+            vSection = vCle[1].toLowerCase();
+            if (vCle[2] !== '') {
+                vSections[vSection].push(vCle[2]);
+            }
+        } else if (vSection !== null && (vSection === 'grille' || (t !== '' && !t.startsWith('#')))) {
+            vSections[vSection].push(vSection === 'grille' ? vLigne : t.replace(/\s/g, vSection === 'sommes' ? ' ' : ''));
+        }
+    }
+    const resultat = { variante: null, taille: 0, texteGrille: vSections.grille.join('\n'), erreur: null };
+    const vType = (vSections.variante[0] || '').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(VARIANTES, vType)) {
+        resultat.erreur = 'Variante inconnue « ' + vType + ' » (attendu : ' + Object.keys(VARIANTES).join(', ') + ').';
+        return resultat;
+    }
+    resultat.variante = { type: vType };
+    const vPlan = vType === 'jigsaw' ? vSections.zones : vType === 'killer' ? vSections.cages : null;
+    if (vPlan === null) {
+        return resultat;
+    }
+    // Plan des zones ou des cages : n lignes de n caractères.
+    const n = vPlan.length;
+    if (CHIFFRES_TAILLES[n] === undefined || vPlan.some(l => l.length !== n)) {
+        resultat.erreur = 'Le plan des ' + (vType === 'jigsaw' ? 'zones' : 'cages')
+            + ' doit avoir 4, 6, 9 ou 16 lignes de autant de caractères.';
+        return resultat;
+    }
+    resultat.taille = n;
+    const vCars = vPlan.join('');
+    const vGroupes = new Map();
+    for (let i = 0; i < vCars.length; i++) {
+        if (vCars[i] === '.' && vType === 'killer') {
+            continue;
+        }
+        if (!vGroupes.has(vCars[i])) {
+            vGroupes.set(vCars[i], []);
+        }
+        vGroupes.get(vCars[i]).push(i);
+    }
+    if (vType === 'jigsaw') {
+        if (vGroupes.size !== n || [...vGroupes.values()].some(g => g.length !== n)) {
+            resultat.erreur = 'Il faut ' + n + ' zones de ' + n + ' cases chacune.';
+            return resultat;
+        }
+        const vNumeros = [...vGroupes.keys()];
+        resultat.variante.zones = vCars.split('').map(c => vNumeros.indexOf(c));
+        return resultat;
+    }
+    const vSommes = new Map();
+    for (const vCouple of vSections.sommes.join(' ').split(' ').filter(m => m !== '')) {
+        const m = /^(.)=(\d+)$/.exec(vCouple);
+        if (m === null) {
+            resultat.erreur = 'Somme illisible : « ' + vCouple + ' » (attendu : caractère=somme).';
+            return resultat;
+        }
+        vSommes.set(m[1], Number(m[2]));
+    }
+    resultat.variante.cages = [];
+    for (const [c, vCases] of vGroupes) {
+        const vSomme = vSommes.get(c);
+        // Somme des k plus petits / plus grands chiffres distincts.
+        const k = vCases.length;
+        const vMin = k * (k + 1) / 2;
+        const vMax = k * (2 * n - k + 1) / 2;
+        if (vSomme === undefined) {
+            resultat.erreur = 'La cage « ' + c + ' » n\'a pas de somme.';
+        } else if (k > n || vSomme < vMin || vSomme > vMax) {
+            resultat.erreur = 'La cage « ' + c + ' » (' + k + ' cases) ne peut pas totaliser ' + vSomme + '.';
+        }
+        if (resultat.erreur !== null) {
+            return resultat;
+        }
+        resultat.variante.cages.push({ cases: vCases, somme: vSomme });
+    }
+    return resultat;
+}
+
+// En-tête décrivant la variante de `pGrille`, au format lu par
+// analyseTexteVariante (sans la grille, qui suit la ligne « grille: »).
+function texteVariante(pGrille) {
+    const n = pGrille.taille;
+    let resultat = 'variante: ' + pGrille.variante.type + '\r\n';
+    const plan = pNumeros => {
+        let vTexte = '';
+        for (let lig = 0; lig < n; lig++) {
+            vTexte += pNumeros.slice(lig * n, (lig + 1) * n).map(k => (k < 0 ? '.' : symboleVariante(k))).join('') + '\r\n';
+        }
+        return vTexte;
+    };
+    if (pGrille.variante.zones) {
+        resultat += 'zones:\r\n' + plan(pGrille.variante.zones);
+    }
+    if (pGrille.cages.length > 0) {
+        resultat += 'cages:\r\n' + plan(pGrille.cageDeCase) + 'sommes:\r\n'
+            + pGrille.cages.map((c, k) => symboleVariante(k) + '=' + c.somme).join(' ') + '\r\n';
+    }
+    return resultat + 'grille:\r\n';
+}
+
+// Lit le texte d'un fichier de grille(s) pour un plateau de chiffres
+// `pChiffres` et de variante `pVariante`. Un en-tête « variante: » impose
+// ses règles (et, pour un Jigsaw ou un Killer, la taille ; un Killer sans
+// grille part d'une grille vide). Sans en-tête, le texte est d'abord lu comme
+// une grille de ce plateau, puis comme une grille classique de chaque taille.
+// Renvoie { chiffres, variante, grilles, erreur } ; en cas d'échec, l'erreur
+// est celle de la première lecture tentée.
+function lisTexteGrilles(pTexte, pChiffres, pVariante) {
+    const vEntete = analyseTexteVariante(pTexte);
+    if (vEntete !== null && vEntete.erreur !== null) {
+        return { chiffres: null, variante: null, grilles: [], erreur: vEntete.erreur };
+    }
+    let vTexte = pTexte;
+    const vTailles = [pChiffres].concat(Object.values(CHIFFRES_TAILLES).filter(c => c !== pChiffres));
+    let vEssais = [[pChiffres, pVariante]].concat(vTailles.map(c => [c, { type: 'classique' }]));
+    if (vEntete !== null) {
+        vTexte = vEntete.texteGrille;
+        if (vEntete.taille > 0 && vTexte.trim() === '') {
+            vTexte = '0'.repeat(vEntete.taille * vEntete.taille);
+        }
+        const vChoix = vEntete.taille > 0 ? [CHIFFRES_TAILLES[vEntete.taille]] : vTailles;
+        vEssais = vChoix.map(c => [c, vEntete.variante]);
+    }
+    let resultat = null;
+    for (const [vChiffres, vVariante] of vEssais) {
+        const vNbCases = GrilleSudoku.plateau(vChiffres.length, vVariante).positions.length;
+        const vLecture = analyseTexteGrilles(vTexte, vNbCases, vChiffres);
+        if (resultat === null || vLecture.erreur === null) {
+            resultat = { chiffres: vChiffres, variante: vVariante, grilles: vLecture.grilles, erreur: vLecture.erreur };
+        }
+        if (resultat.erreur === null) {
+            break;
+        }
+    }
+    return resultat;
+}
+
+/*
+  Calculs longs, exécutés par le Web Worker TravailleurSudoku.js (ou par la
+  page elle-même quand le navigateur refuse de créer le worker). Une demande
+  est un objet sérialisable :
+    { action: 'resoudre', chiffres, variante, valeurs }
+    { action: 'compter', chiffres, variante, valeurs, max }
+    { action: 'generer', chiffres, variante, graine, nbCases, symetrie }
+    { action: 'derouler', chiffres, variante, valeurs }
+    { action: 'diagnostiquer', chiffres, variante, valeurs }
+  `pProgression(texte, avance)` reçoit l'avancement du calcul, `avance`
+  étant une fraction de 0 à 1, ou null quand la durée n'est pas prévisible.
+  Résultats :
+    resoudre : { nombre, etape, valeurs } : nombre de solutions (compté
+               jusqu'à 2), étape de completeGrille qui a rempli la grille
+               (0 si aucune solution) et valeurs obtenues ;
+    compter  : { nombre } ;
+    generer  : { valeurs, nbEpurees, note, solution } : grille à solution
+               unique tirée de la graine, sa note (noteGrille) et sa solution ;
+    derouler : { nombre, etapes, tronquee } : nombre de solutions (compté
+               jusqu'à 2) et actions de la résolution (resolutionPasAPas),
+               vide s'il n'y a pas de solution ;
+    diagnostiquer : résultat de diagnostiqueGrille.
+*/
+function executeCalcul(pDemande, pProgression) {
+    const vGrille = new GrilleSudoku(pDemande.chiffres, pDemande.variante);
+    const vNoeuds = n => pProgression('Recherche : ' + n + ' positions explorées', null);
+    if (pDemande.action === 'compter') {
+        vGrille.restaure(pDemande.valeurs);
+        return { nombre: compteSolutions(vGrille, pDemande.max, null, 0, vNoeuds).nombre };
+    }
+    if (pDemande.action === 'resoudre') {
+        vGrille.restaure(pDemande.valeurs);
+        const vNombre = compteSolutions(vGrille, 2, null, 0, vNoeuds).nombre;
+        const vEtape = vNombre === 0 ? 0 : completeGrille(vGrille, null, pProgression);
+        return { nombre: vNombre, etape: vEtape, valeurs: vGrille.sauve() };
+    }
+    if (pDemande.action === 'generer') {
+        // Tous les tirages (grille pleine, puis cases vidées) viennent de la
+        // graine : la même demande redonne la même grille.
+        const vHasard = hasardGraine(pDemande.graine);
+        completeGrille(vGrille, vHasard, pProgression);
+        const vSolution = vGrille.sauve();
+        const nbEpurees = epureUnique(vGrille, pDemande.nbCases, pDemande.symetrie, vHasard,
+            (k, n) => pProgression('Épuration de la grille', k / n));
+        pProgression('Note de difficulté', null);
+        return { valeurs: vGrille.sauve(), nbEpurees, note: noteGrille(vGrille), solution: vSolution };
+    }
+    if (pDemande.action === 'derouler') {
+        vGrille.restaure(pDemande.valeurs);
+        const vNombre = compteSolutions(vGrille, 2, null, 0, vNoeuds).nombre;
+        if (vNombre === 0) {
+            return { nombre: 0, etapes: [], tronquee: false };
+        }
+        return Object.assign({ nombre: vNombre }, resolutionPasAPas(vGrille, pProgression));
+    }
+    if (pDemande.action === 'diagnostiquer') {
+        vGrille.restaure(pDemande.valeurs);
+        return diagnostiqueGrille(vGrille, pProgression);
+    }
+    throw new Error('executeCalcul : action « ' + pDemande.action + ' » inconnue');
+}
+
+// Complète `pGrille` par les stratégies successives, des plus simples à la
+// recherche exhaustive : 1) cases à candidat unique, 2) essais contrôlés,
+// 3) recherche exhaustive (ordre des candidats tiré par `pHasard` s'il est
+// fourni). Chaque étape repart de la grille de départ. Renvoie le numéro de
+// l'étape qui a rempli la grille, ou 0 (grille inchangée) s'il n'y en a pas.
+function completeGrille(pGrille, pHasard, pProgression) {
+    const vDepart = pGrille.sauve();
+    pProgression('Cases à candidat unique', null);
+    resoudreUniques(pGrille);
+    if (pGrille.estPleine()) {
+        return 1;
+    }
+    pGrille.restaure(vDepart);
+    pProgression('Essais contrôlés', null);
+    resoudreEssais(pGrille);
+    if (pGrille.estPleine()) {
+        return 2;
+    }
+    pGrille.restaure(vDepart);
+    pProgression('Recherche exhaustive', null);
+    if (resoudreExhaustif(pGrille, pHasard, n => pProgression('Recherche exhaustive : ' + n + ' positions explorées', null))) {
+        return 3;
+    }
+    return 0;
+}
+
+// Actions enregistrées pour la lecture pas à pas : au-delà, la lecture passe
+// directement à la solution (une recherche exhaustive peut en compter des
+// centaines de milliers).
+const NB_ETAPES_LECTURE = 5000;
+
+// Résolution de `pGrille` (qui doit avoir une solution) enregistrée action
+// par action, pour être rejouée sur le plateau. Les étapes suivent la
+// progression de completeGrille, chacune repartant de la grille laissée par
+// la précédente :
+//   1) déductions logiques : les techniques de TECHNIQUES, comme l'indice
+//      (elles comprennent les cases à candidat unique de l'étape 1 de
+//      completeGrille) ;
+//   2) essais contrôlés (resoudreEssais) ;
+//   3) recherche exhaustive (compteSolutions).
+// `pGrille` n'est pas modifiée. Renvoie { etapes, tronquee } ; chaque étape
+// est une déduction (voir TECHNIQUES) complétée de :
+//   type    : 'placement', 'elimination', 'essai', 'retour' ou 'solution'
+//             (fin de la lecture quand `tronquee` est vrai) ;
+//   etape   : 1, 2 ou 3 ;
+//   valeurs : valeurs de la grille après l'action.
+function resolutionPasAPas(pGrille, pProgression) {
+    const vGrille = pGrille.cloner();
+    const etapes = [];
+    let tronquee = false;
+    let vEtape = 1;
+    pProgression('Déductions logiques', null);
+    const vCands = creeCandidats(vGrille);
+    let d;
+    while (!vGrille.estPleine() && (d = prochaineDeduction(vGrille, vCands)) !== null) {
+        appliqueDeduction(vGrille, vCands, d);
+        d.type = d.placement !== null ? 'placement' : 'elimination';
+        ajoute(d, vGrille);
+    }
+    if (!vGrille.estPleine()) {
+        vEtape = 2;
+        pProgression('Essais contrôlés', null);
+        resoudreEssais(vGrille, journal);
+    }
+    if (!vGrille.estPleine()) {
+        vEtape = 3;
+        pProgression('Recherche exhaustive', null);
+        const vRecherche = compteSolutions(vGrille, 1, null, 0,
+            n => pProgression('Recherche exhaustive : ' + n + ' positions explorées', null), journal);
+        vGrille.restaure(vRecherche.solution);
+    }
+    if (tronquee) {
+        etapes.push({
+            type: 'solution', etape: vEtape, placement: null, eliminations: [], cases: [], regions: [],
+            valeurs: vGrille.sauve(),
+            explication: 'au-delà de ' + NB_ETAPES_LECTURE + ' actions, la lecture passe directement à la solution'
+        });
+    }
+    return { etapes, tronquee };
+
+    function ajoute(pDeduction, pGrilleApres) {
+        if (etapes.length >= NB_ETAPES_LECTURE) {
+            tronquee = true;
+            return;
+        }
+        pDeduction.etape = vEtape;
+        pDeduction.valeurs = pGrilleApres.sauve();
+        etapes.push(pDeduction);
+    }
+    function journal(pType, pCase, pValeur, pGrilleApres, pRegion) {
+        const c = vGrille.chiffres[pValeur - 1];
+        const vNom = vGrille.nomCase(pCase);
+        const vAction = { type: pType, placement: null, eliminations: [], cases: [pCase], regions: [] };
+        if (pType === 'placement') {
+            vAction.placement = { case: pCase, valeur: pValeur };
+            if (pRegion === undefined) {
+                vAction.regions = vGrille.regionsDeCase[pCase].slice();
+                vAction.explication = 'seul ' + c + ' possible dans la case ' + vNom;
+            } else {
+                vAction.regions = [pRegion];
+                vAction.explication = 'seul emplacement possible pour le ' + c + ' dans '
+                    + vGrille.nomsRegions[pRegion] + ' : case ' + vNom;
+            }
+        } else if (pType === 'essai') {
+            vAction.explication = 'essai du ' + c + ' dans la case ' + vNom;
+        } else {
+            // Un essai contrôlé échoue dès que les cases à candidat unique ne
+            // remplissent pas la grille ; un essai de la recherche exhaustive,
+            // quand toutes ses suites mènent à une contradiction.
+            vAction.explication = "l'essai du " + c + ' dans la case ' + vNom
+                + (vEtape === 2 ? ' ne remplit pas la grille' : ' mène à une contradiction')
+                + " : retour à la grille d'avant l'essai";
+        }
+        ajoute(vAction, pGrilleApres);
+    }
+}
+
+/*
+  Diagnostic d'une grille fausse ou insoluble, pour retrouver une faute de
+  saisie (grille recopiée d'un journal, par exemple). Dans l'ordre :
+  - les doublons et les cages fausses (conflits()) ;
+  - sans doublon, les impasses : case sans aucun candidat, ou chiffre sans
+    place possible dans une région, sur la grille telle quelle ou après les
+    déductions logiques (TECHNIQUES) ;
+  - et les données contradictoires : un ensemble de cases remplies qui, à
+    lui seul, rend la grille insoluble, et dont aucune case ne peut être
+    retirée sans que la grille redevienne soluble. La faute est forcément
+    l'une de ces cases.
+*/
+
+// Nombre maximal de cases développées par la recherche exhaustive pour
+// décider si un ensemble de données est contradictoire. Au-delà, la case
+// essayée est gardée dans l'ensemble, qui reste contradictoire mais n'est
+// plus forcément minimal.
+const LIMITE_DIAGNOSTIC = 20000;
+
+// Renvoie { nombre, conflits, impasses, noyau } :
+//   nombre   : nombre de solutions (compté jusqu'à 2 ; 0 s'il y a des doublons) ;
+//   conflits : ceux de conflits(), chacun avec son `texte` (decritConflit) ;
+//   impasses : voir impassesGrille (grille sans doublon et sans solution) ;
+//   noyau    : voir noyauContradictoire (idem).
+// Seuls les doublons sont cherchés dans une grille qui en contient.
+function diagnostiqueGrille(pGrille, pProgression) {
+    const resultat = { nombre: 0, conflits: [], impasses: [], noyau: [] };
+    resultat.conflits = pGrille.conflits().map(c => Object.assign({ texte: pGrille.decritConflit(c) }, c));
+    if (resultat.conflits.length > 0) {
+        return resultat;
+    }
+    resultat.nombre = compteSolutions(pGrille, 2, null, 0,
+        n => pProgression('Recherche : ' + n + ' positions explorées', null)).nombre;
+    if (resultat.nombre === 0) {
+        pProgression('Recherche des impasses', null);
+        resultat.impasses = impassesGrille(pGrille);
+        // Les cases de la première impasse (et de ses régions) sont essayées
+        // en dernier : le noyau se forme autour d'elle et reste petit.
+        const vImpasse = resultat.impasses[0];
+        const vAutour = vImpasse === undefined ? []
+            : vImpasse.cases.concat(...vImpasse.regions.map(r => pGrille.regions[r]));
+        resultat.noyau = noyauContradictoire(pGrille, pProgression, vAutour);
+    }
+    return resultat;
+}
+
+// Impasses de `pGrille` : cases libres sans candidat et chiffres qui n'ont
+// plus de place dans une région, { cases, regions, texte }. Sur la grille
+// telle quelle, une case sans candidat est accompagnée des cases reliées
+// qui portent chacun de ses chiffres. S'il n'y en a pas, les déductions
+// logiques sont appliquées une à une jusqu'à la première impasse. Renvoie
+// une liste vide si les techniques n'en trouvent aucune.
+function impassesGrille(pGrille) {
+    const vGrille = pGrille.cloner();
+    const vCands = creeCandidats(vGrille);
+    let nbDeductions = 0;
+    for (;;) {
+        const vApres = nbDeductions === 0 ? '' : ' après ' + nbDeductions + ' déduction(s) logique(s)';
+        const resultat = [];
+        for (const i of vGrille.casesLibres()) {
+            if (vCands[i] !== 0) {
+                continue;
+            }
+            const vImpasse = { cases: [i], regions: [], texte: 'la case ' + vGrille.nomCase(i) + " n'a plus aucun candidat" + vApres };
+            if (nbDeductions === 0) {
+                const vBloquees = [];
+                for (let v = 1; v <= vGrille.taille; v++) {
+                    const j = vGrille.reliees[i].find(k => vGrille.valeur(k) === v);
+                    if (j !== undefined) {
+                        vImpasse.cases.push(j);
+                        vBloquees.push(vGrille.chiffres[v - 1] + ' en ' + vGrille.nomCase(j));
+                    }
+                }
+                vImpasse.texte += ' (' + vBloquees.join(', ') + ')';
+            }
+            resultat.push(vImpasse);
+        }
+        for (let r = 0; r < vGrille.regions.length; r++) {
+            for (let v = 1; v <= vGrille.taille; v++) {
+                const bit = 1 << (v - 1);
+                if (!(vGrille.masques[r] & bit) && vGrille.regions[r].every(j => !(vCands[j] & bit))) {
+                    const vImpasse = {
+                        cases: [],
+                        regions: [r],
+                        texte: 'le ' + vGrille.chiffres[v - 1] + " n'a plus de place dans " + vGrille.nomsRegions[r] + vApres
+                    };
+                    if (nbDeductions === 0) {
+                        // Les cases libres de la région voient toutes ce chiffre.
+                        for (const j of vGrille.regions[r].filter(k => vGrille.valeur(k) === 0)) {
+                            const k = vGrille.reliees[j].find(m => vGrille.valeur(m) === v);
+                            if (k !== undefined && !vImpasse.cases.includes(k)) {
+                                vImpasse.cases.push(k);
+                            }
+                        }
+                        vImpasse.texte += ' (' + vImpasse.cases.map(k => vGrille.nomCase(k)).join(', ') + ')';
+                    }
+                    resultat.push(vImpasse);
+                }
+            }
+        }
+        if (resultat.length > 0) {
+            return resultat;
+        }
+        const d = vGrille.estPleine() ? null : prochaineDeduction(vGrille, vCands);
+        if (d === null) {
+            return [];
+        }
+        appliqueDeduction(vGrille, vCands, d);
+        nbDeductions++;
+    }
+}
+
+// Données contradictoires : cases remplies de `pGrille` (sans solution)
+// retirées une à une tant que la grille reste insoluble, celles de
+// `pDernieres` en dernier (à ordre différent, noyau différent : les
+// premières essayées ont le plus de chances d'être retirées). Les cases restantes
+// suffisent à rendre la grille insoluble ; aucune ne peut être retirée
+// (sauf recherche abandonnée, voir LIMITE_DIAGNOSTIC). Une liste vide
+// signifie que la grille est insoluble sans aucun chiffre (cages d'un
+// Killer contradictoires).
+function noyauContradictoire(pGrille, pProgression, pDernieres) {
+    const vGrille = pGrille.cloner();
+    const vRemplies = [];
+    for (let i = 0; i < vGrille.nbCases; i++) {
+        if (vGrille.valeur(i) !== 0) {
+            vRemplies.push(i);
+        }
+    }
+    const vDernieres = new Set(pDernieres || []);
+    vRemplies.sort((a, b) => vDernieres.has(a) - vDernieres.has(b));
+    vRemplies.forEach((i, k) => {
+        pProgression('Recherche des données contradictoires', k / vRemplies.length);
+        const v = vGrille.valeur(i);
+        vGrille.place(i, 0);
+        const vRecherche = compteSolutions(vGrille, 1, null, LIMITE_DIAGNOSTIC);
+        if (vRecherche.nombre > 0 || vRecherche.abandon) {
+            vGrille.place(i, v);
+        }
+    });
+    return vRemplies.filter(i => vGrille.valeur(i) !== 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GrilleSudoku,
+        CHIFFRES_TAILLES,
+        chiffresPourNbCases,
+        nbBits,
+        bitsVersValeurs,
+        resoudreUniques,
+        resoudreEssais,
+        compteSolutions,
+        resoudreExhaustif,
+        SYMETRIES,
+        casesSymetriques,
+        epureUnique,
+        melange,
+        hasardGraine,
+        graineDuJour,
+        NIVEAUX,
+        TECHNIQUES,
+        creeCandidats,
+        prochaineDeduction,
+        appliqueDeduction,
+        resoudreLogique,
+        chercheIndice,
+        noteGrille,
+        analyseTexteGrilles,
+        FORMATS_EXPORT,
+        exporteTexteGrille,
+        VARIANTES,
+        analyseTexteVariante,
+        texteVariante,
+        lisTexteGrilles,
+        executeCalcul,
+        completeGrille,
+        NB_ETAPES_LECTURE,
+        resolutionPasAPas,
+        LIMITE_DIAGNOSTIC,
+        diagnostiqueGrille,
+        impassesGrille,
+        noyauContradictoire
+    };
+}
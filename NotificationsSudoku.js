@@ -0,0 +1,176 @@
+/*
+  NotificationsSudoku.js
+
+  Description (FR):
+  ------------------
+  Messages à l'utilisateur et journal des erreurs, sans fenêtre bloquante.
+  Ce fichier n'utilise pas jQuery : il est chargé par toutes les pages (et
+  avant SudokuBoard.jquery.js et StatistiquesSudoku.js, qui s'en servent).
+  L'apparence est donnée par NotificationsSudoku.css.
+
+  - notifie(niveau, message, source) affiche un message éphémère (« toast »)
+    en haut à droite de la page. Le niveau donne sa couleur, son rang (les
+    plus graves en tête de pile) et sa durée : NIVEAUX_NOTIFICATION.
+  - signaleErreur(fonction, err) est l'issue de tous les blocs catch : le
+    message est noté au niveau 'erreur', avec le nom de la fonction.
+  - Les erreurs et avertissements sont aussi inscrits dans le journal,
+    panneau repliable en bas de page (#journalNotifications) qui donne
+    l'heure, la fonction et le message de chacun.
+  - Un message identique (même niveau, même source, même texte) à un message
+    encore affiché ne crée pas de nouveau toast : le compteur du premier
+    augmente. De même, le journal n'a qu'une ligne par message, avec le
+    nombre d'occurrences et l'heure de la dernière. Une erreur répétée dans
+    une boucle ne donne donc qu'un toast et qu'une ligne.
+*/
+
+// Par niveau : rang (le plus grave d'abord), durée d'affichage en ms (0 :
+// jusqu'à fermeture) et inscription au journal.
+const NIVEAUX_NOTIFICATION = {
+    erreur: { rang: 0, duree: 0, journal: true, libelle: 'Erreur' },
+    avertissement: { rang: 1, duree: 8000, journal: true, libelle: 'Attention' },
+    info: { rang: 2, duree: 4000, journal: false, libelle: 'Info' }
+};
+// Au-delà, les toasts les moins graves (puis les plus anciens) sont retirés.
+const NB_TOASTS_MAX = 5;
+const NB_LIGNES_JOURNAL = 200;
+// Lignes du journal : { niveau, source, message, nombre, premiere, derniere }.
+const journalNotifications = [];
+let toastsAffiches = [];
+
+function notifie(pNiveau, pMessage, pSource) {
+    // Ne lève jamais d'exception : c'est le dernier recours des blocs catch.
+    try {
+        const vNiveau = NIVEAUX_NOTIFICATION[pNiveau] === undefined ? 'info' : pNiveau;
+        const vSource = pSource || '';
+        const vMessage = String(pMessage);
+        if (NIVEAUX_NOTIFICATION[vNiveau].journal) {
+            inscritJournal(vNiveau, vSource, vMessage);
+        }
+        if (document.body === null) {
+            return;
+        }
+        const vExistant = toastsAffiches.find(t => t.niveau === vNiveau && t.source === vSource && t.message === vMessage);
+        if (vExistant !== undefined) {
+            vExistant.nombre++;
+            vExistant.element.querySelector('.toast-nombre').textContent = '×' + vExistant.nombre;
+            programmeFermeture(vExistant);
+            return;
+        }
+        afficheToast(vNiveau, vSource, vMessage);
+    } catch (err) {
+        console.error('notifie', pNiveau, pSource, pMessage, err);
+    }
+}
+function signaleErreur(pFonction, err) {
+    // Bloc catch d'une fonction : `err` est une Error ou toute valeur levée.
+    const vMessage = err instanceof Error ? err.name + ' ' + err.message : String(err);
+    console.error(pFonction, err);
+    notifie('erreur', vMessage, pFonction);
+}
+function afficheToast(pNiveau, pSource, pMessage) {
+    const vToast = { niveau: pNiveau, source: pSource, message: pMessage, nombre: 1, minuterie: null };
+    const vElement = document.createElement('div');
+    vElement.className = 'toast toast-' + pNiveau;
+    vElement.setAttribute('role', pNiveau === 'erreur' ? 'alert' : 'status');
+    const vTitre = document.createElement('strong');
+    vTitre.textContent = NIVEAUX_NOTIFICATION[pNiveau].libelle + (pSource === '' ? '' : ' (' + pSource + ')');
+    const vNombre = document.createElement('span');
+    vNombre.className = 'toast-nombre';
+    const vTexte = document.createElement('div');
+    vTexte.textContent = pMessage;
+    const vFerme = document.createElement('button');
+    vFerme.type = 'button';
+    vFerme.className = 'toast-ferme';
+    vFerme.title = 'Fermer';
+    vFerme.textContent = '×';
+    vFerme.addEventListener('click', () => fermeToast(vToast));
+    vElement.append(vTitre, vNombre, vFerme, vTexte);
+    vToast.element = vElement;
+    toastsAffiches.unshift(vToast);
+    // Pile triée par gravité, les plus récents en tête à gravité égale ;
+    // au-delà de NB_TOASTS_MAX, le dernier de la pile disparaît.
+    toastsAffiches.sort((a, b) => NIVEAUX_NOTIFICATION[a.niveau].rang - NIVEAUX_NOTIFICATION[b.niveau].rang);
+    while (toastsAffiches.length > NB_TOASTS_MAX) {
+        fermeToast(toastsAffiches[toastsAffiches.length - 1]);
+    }
+    const vPile = pileToasts();
+    for (const t of toastsAffiches) {
+        vPile.appendChild(t.element);
+    }
+    programmeFermeture(vToast);
+}
+function pileToasts() {
+    // Conteneur des toasts, créé au premier message.
+    let vPile = document.getElementById('notifications');
+    if (vPile === null) {
+        vPile = document.createElement('div');
+        vPile.id = 'notifications';
+        vPile.setAttribute('aria-live', 'polite');
+        document.body.appendChild(vPile);
+    }
+    return vPile;
+}
+function programmeFermeture(pToast) {
+    clearTimeout(pToast.minuterie);
+    const vDuree = NIVEAUX_NOTIFICATION[pToast.niveau].duree;
+    if (vDuree > 0) {
+        pToast.minuterie = setTimeout(() => fermeToast(pToast), vDuree);
+    }
+}
+function fermeToast(pToast) {
+    clearTimeout(pToast.minuterie);
+    pToast.element.remove();
+    toastsAffiches = toastsAffiches.filter(t => t !== pToast);
+}
+function inscritJournal(pNiveau, pSource, pMessage) {
+    const vMaintenant = new Date();
+    let vLigne = journalNotifications.find(l => l.niveau === pNiveau && l.source === pSource && l.message === pMessage);
+    if (vLigne === undefined) {
+        vLigne = { niveau: pNiveau, source: pSource, message: pMessage, nombre: 0, premiere: vMaintenant, derniere: vMaintenant };
+        journalNotifications.push(vLigne);
+        if (journalNotifications.length > NB_LIGNES_JOURNAL) {
+            journalNotifications.shift();
+        }
+    }
+    vLigne.nombre++;
+    vLigne.derniere = vMaintenant;
+    if (document.body !== null) {
+        afficheJournal();
+    }
+}
+function afficheJournal() {
+    // Panneau repliable (élément <details>) en bas de page, créé à la
+    // première erreur ; les lignes les plus récentes en tête.
+    let vPanneau = document.getElementById('journalNotifications');
+    if (vPanneau === null) {
+        vPanneau = document.createElement('details');
+        vPanneau.id = 'journalNotifications';
+        vPanneau.appendChild(document.createElement('summary'));
+        const vListe = document.createElement('ol');
+        const vVide = document.createElement('button');
+        vVide.type = 'button';
+        vVide.textContent = 'Vider le journal';
+        vVide.addEventListener('click', () => {
+            journalNotifications.length = 0;
+            vPanneau.remove();
+        });
+        vPanneau.append(vListe, vVide);
+        document.body.appendChild(vPanneau);
+    }
+    const vNbErreurs = journalNotifications.filter(l => l.niveau === 'erreur').length;
+    vPanneau.querySelector('summary').textContent = 'Journal : ' + vNbErreurs + ' erreur(s), '
+        + (journalNotifications.length - vNbErreurs) + ' avertissement(s)';
+    const vListe = vPanneau.querySelector('ol');
+    vListe.textContent = '';
+    for (const l of journalNotifications.slice().sort((a, b) => b.derniere - a.derniere)) {
+        const vItem = document.createElement('li');
+        vItem.className = 'journal-' + l.niveau;
+        vItem.textContent = heureNotification(l.derniere) + ' ' + NIVEAUX_NOTIFICATION[l.niveau].libelle
+            + (l.source === '' ? '' : ' — ' + l.source) + ' : ' + l.message
+            + (l.nombre > 1 ? ' (×' + l.nombre + ', depuis ' + heureNotification(l.premiere) + ')' : '');
+        vListe.appendChild(vItem);
+    }
+}
+function heureNotification(pDate) {
+    return [pDate.getHours(), pDate.getMinutes(), pDate.getSeconds()].map(n => String(n).padStart(2, '0')).join(':');
+}
@@ -0,0 +1,224 @@
+/*
+  StatistiquesSudoku.js
+
+  Description (FR):
+  ------------------
+  Statistiques personnelles du joueur, conservées dans le localStorage du
+  navigateur sous la clé CLE_STATISTIQUES. Ce fichier n'utilise pas jQuery :
+  il sert à la page de jeu (CreeTableauSudoku.html, écran de victoire) comme
+  à Page accueil.html. Ses erreurs passent par NotificationsSudoku.js.
+
+  Une partie compte quand elle part d'une grille chargée ou générée, dont la
+  difficulté est connue (libellé de noteGrille). Les statistiques sont tenues
+  par difficulté et par grille :
+  {
+    difficultes: { 'Facile': { resolues, meilleurTemps, tempsTotal, erreurs,
+                               indices, serie, meilleureSerie }, ... },
+    grilles:     { <clé de la grille>: { nom, difficulte, resolues,
+                   meilleurTemps, tempsTotal, erreurs, indices, date }, ... }
+  }
+  Les temps sont en millisecondes ; erreurs et indices s'additionnent
+  d'une partie à l'autre. La série compte les grilles résolues d'affilée
+  dans une difficulté : une grille abandonnée (résolue par le résolveur,
+  ou remplacée par une autre en cours de partie) la remet à zéro.
+
+  Liste synthétique :
+  - lisStatistiques / ecritStatistiques : lecture et écriture dans le localStorage.
+  - enregistreVictoire / enregistreAbandon : mise à jour après une partie.
+  - formatteTemps : durée en « m:ss » (ou « h:mm:ss »).
+  - tableauStatistiques : tableau par difficulté (aussi sur l'écran de victoire).
+  - tableauGrilles : tableau par grille.
+  - afficheStatistiques : les deux tableaux, pour Page accueil.html.
+*/
+
+const CLE_STATISTIQUES = 'SudokuCrans.statistiques';
+// Au-delà, les grilles résolues le plus anciennement sont oubliées (les
+// grilles générées ont chacune leur entrée).
+const NB_GRILLES_STATISTIQUES = 200;
+const ORDRE_DIFFICULTES = ['Facile', 'Moyen', 'Difficile', 'Diabolique'];
+
+function lisStatistiques() {
+    try {
+        const vTexte = localStorage.getItem(CLE_STATISTIQUES);
+        const resultat = vTexte === null ? {} : JSON.parse(vTexte);
+        resultat.difficultes = resultat.difficultes || {};
+        resultat.grilles = resultat.grilles || {};
+        return resultat;
+    } catch (err) {
+        signaleErreur('lisStatistiques', err);
+        return { difficultes: {}, grilles: {} };
+    }
+}
+function ecritStatistiques(pStats) {
+    try {
+        localStorage.setItem(CLE_STATISTIQUES, JSON.stringify(pStats));
+    } catch (err) {
+        signaleErreur('ecritStatistiques', err);
+    }
+}
+function enregistreVictoire(pPartie) {
+    try {
+        // `pPartie` : { cle, nom, difficulte, temps, erreurs, indices }.
+        // Renvoie les statistiques mises à jour de la difficulté et de la
+        // grille, et si le temps est un record de la difficulté.
+        const vStats = lisStatistiques();
+        const vDifficulte = vStats.difficultes[pPartie.difficulte] || {
+            resolues: 0, meilleurTemps: 0, tempsTotal: 0, erreurs: 0, indices: 0, serie: 0, meilleureSerie: 0
+        };
+        const vRecord = vDifficulte.resolues === 0 || pPartie.temps < vDifficulte.meilleurTemps;
+        vDifficulte.resolues++;
+        vDifficulte.meilleurTemps = vRecord ? pPartie.temps : vDifficulte.meilleurTemps;
+        vDifficulte.tempsTotal += pPartie.temps;
+        vDifficulte.erreurs += pPartie.erreurs;
+        vDifficulte.indices += pPartie.indices;
+        vDifficulte.serie++;
+        vDifficulte.meilleureSerie = Math.max(vDifficulte.meilleureSerie, vDifficulte.serie);
+        vStats.difficultes[pPartie.difficulte] = vDifficulte;
+        const vGrille = vStats.grilles[pPartie.cle] || {
+            nom: pPartie.nom, difficulte: pPartie.difficulte, resolues: 0, meilleurTemps: 0, tempsTotal: 0, erreurs: 0, indices: 0
+        };
+        vGrille.meilleurTemps = vGrille.resolues === 0 ? pPartie.temps : Math.min(vGrille.meilleurTemps, pPartie.temps);
+        vGrille.resolues++;
+        vGrille.tempsTotal += pPartie.temps;
+        vGrille.erreurs += pPartie.erreurs;
+        vGrille.indices += pPartie.indices;
+        vGrille.date = new Date().toISOString();
+        vStats.grilles[pPartie.cle] = vGrille;
+        const vCles = Object.keys(vStats.grilles);
+        if (vCles.length > NB_GRILLES_STATISTIQUES) {
+            vCles.sort((a, b) => vStats.grilles[a].date.localeCompare(vStats.grilles[b].date));
+            for (const vCle of vCles.slice(0, vCles.length - NB_GRILLES_STATISTIQUES)) {
+                delete vStats.grilles[vCle];
+            }
+        }
+        ecritStatistiques(vStats);
+        return { difficulte: vDifficulte, grille: vGrille, record: vRecord };
+    } catch (err) {
+        signaleErreur('enregistreVictoire', err);
+        return null;
+    }
+}
+function enregistreAbandon(pDifficulte) {
+    try {
+        // Une grille abandonnée interrompt la série de sa difficulté.
+        const vStats = lisStatistiques();
+        if (vStats.difficultes[pDifficulte] !== undefined) {
+            vStats.difficultes[pDifficulte].serie = 0;
+            ecritStatistiques(vStats);
+        }
+    } catch (err) {
+        signaleErreur('enregistreAbandon', err);
+    }
+}
+function formatteTemps(pMillisecondes) {
+    const vSecondes = Math.floor(pMillisecondes / 1000);
+    const vHeures = Math.floor(vSecondes / 3600);
+    const vMinutes = Math.floor(vSecondes / 60) % 60;
+    const vReste = String(vSecondes % 60).padStart(2, '0');
+    return vHeures > 0
+        ? vHeures + ':' + String(vMinutes).padStart(2, '0') + ':' + vReste
+        : vMinutes + ':' + vReste;
+}
+function rangDifficulte(pNom) {
+    // Position dans ORDRE_DIFFICULTES ; une difficulté inconnue vient après.
+    const vRang = ORDRE_DIFFICULTES.indexOf(pNom);
+    return vRang === -1 ? ORDRE_DIFFICULTES.length : vRang;
+}
+function ligneEntetes(pTable, pEntetes) {
+    try {
+        const vLigneEntete = pTable.createTHead().insertRow();
+        for (const vEntete of pEntetes) {
+            const vTh = document.createElement('th');
+            vTh.textContent = vEntete;
+            vLigneEntete.appendChild(vTh);
+        }
+    } catch (err) {
+        signaleErreur('ligneEntetes', err);
+    }
+}
+function tableauStatistiques(pStats, pDifficulteCourante) {
+    try {
+        // Tableau HTML d'une ligne par difficulté jouée (dans l'ordre des
+        // niveaux), la difficulté courante éventuelle en gras.
+        const vTable = document.createElement('table');
+        vTable.className = 'statistiques';
+        ligneEntetes(vTable, ['Difficulté', 'Résolues', 'Meilleur temps', 'Temps moyen', 'Erreurs', 'Indices', 'Série (record)']);
+        const vCorps = vTable.createTBody();
+        const vDifficultes = Object.keys(pStats.difficultes).sort((a, b) => rangDifficulte(a) - rangDifficulte(b));
+        for (const vNom of vDifficultes) {
+            const d = pStats.difficultes[vNom];
+            const vLigne = vCorps.insertRow();
+            if (vNom === pDifficulteCourante) {
+                vLigne.className = 'difficulte-courante';
+            }
+            const vCellules = [
+                vNom,
+                String(d.resolues),
+                d.resolues > 0 ? formatteTemps(d.meilleurTemps) : '-',
+                d.resolues > 0 ? formatteTemps(d.tempsTotal / d.resolues) : '-',
+                String(d.erreurs),
+                String(d.indices),
+                d.serie + ' (' + d.meilleureSerie + ')'
+            ];
+            for (const vTexte of vCellules) {
+                vLigne.insertCell().textContent = vTexte;
+            }
+        }
+        return vTable;
+    } catch (err) {
+        signaleErreur('tableauStatistiques', err);
+        return document.createElement('table');
+    }
+}
+function tableauGrilles(pStats) {
+    try {
+        // Tableau HTML d'une ligne par grille résolue, rangées par difficulté
+        // puis par nom.
+        const vTable = document.createElement('table');
+        vTable.className = 'statistiques';
+        ligneEntetes(vTable, ['Grille', 'Difficulté', 'Résolue', 'Meilleur temps', 'Temps moyen', 'Erreurs', 'Indices']);
+        const vCorps = vTable.createTBody();
+        const vGrilles = Object.values(pStats.grilles).sort((a, b) =>
+            rangDifficulte(a.difficulte) - rangDifficulte(b.difficulte) || a.nom.localeCompare(b.nom));
+        for (const g of vGrilles) {
+            const vLigne = vCorps.insertRow();
+            const vCellules = [
+                g.nom,
+                g.difficulte,
+                g.resolues + ' fois',
+                formatteTemps(g.meilleurTemps),
+                formatteTemps(g.tempsTotal / g.resolues),
+                String(g.erreurs),
+                String(g.indices)
+            ];
+            for (const vTexte of vCellules) {
+                vLigne.insertCell().textContent = vTexte;
+            }
+        }
+        return vTable;
+    } catch (err) {
+        signaleErreur('tableauGrilles', err);
+        return document.createElement('table');
+    }
+}
+function afficheStatistiques(pConteneur) {
+    try {
+        // Remplit `pConteneur` avec les tableaux par difficulté et par grille,
+        // ou un message si aucune grille n'a encore été résolue.
+        const vStats = lisStatistiques();
+        pConteneur.textContent = '';
+        if (Object.keys(vStats.difficultes).length === 0) {
+            pConteneur.textContent = "Aucune grille résolue pour l'instant.";
+            return;
+        }
+        pConteneur.appendChild(tableauStatistiques(vStats, ''));
+        if (Object.keys(vStats.grilles).length > 0) {
+            const vTitre = document.createElement('h3');
+            vTitre.textContent = 'Par grille';
+            pConteneur.appendChild(vTitre);
+            pConteneur.appendChild(tableauGrilles(vStats));
+        }
+    } catch (err) {
+        signaleErreur('afficheStatistiques', err);
+    }
+}
@@ -0,0 +1,814 @@
+/*
+  SudokuBoard.jquery.js
+
+  Description (FR):
+  ------------------
+  Composant « plateau de Sudoku » réutilisable. Chaque instance construit sa
+  propre table HTML dans un conteneur, tient son propre modèle (GrilleSudoku
+  de MoteurSudoku.js, à charger avant ce fichier) et gère la saisie des
+  chiffres et des notes : plusieurs plateaux peuvent cohabiter dans une page.
+  L'apparence des cellules est donnée par SudokuBoard.css. Les erreurs
+  passent par signaleErreur de NotificationsSudoku.js, à charger aussi avant
+  ce fichier.
+
+  Utilisation :
+    const plateau = new SudokuBoard('#monConteneur', { variante: { type: 'x' } });
+    plateau.load('53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79');
+    plateau.on('solved', () => notifie('info', 'Bravo !'));
+  ou en plugin jQuery :
+    $('#monConteneur').sudoku({ chiffres: '123456' });
+    $('#monConteneur').sudoku('solve');
+
+  Options (toutes facultatives) :
+  - chiffres           : chiffres de la grille, qui en donnent la taille
+                         ('123456789' par défaut, voir CHIFFRES_TAILLES) ;
+  - variante           : règles de la grille ({ type: 'classique' } par défaut,
+                         voir VARIANTES et GrilleSudoku) ;
+  - numero             : numéro de la table, qui préfixe les ids des cellules
+                         (ex. T01R03C04) ; par défaut le premier numéro libre ;
+  - editable           : faux pour un plateau en lecture seule ;
+  - modeNotes          : vrai pour qu'un chiffre tapé dans une case vide soit
+                         une note (modifiable ensuite : plateau.options.modeNotes,
+                         ou au clavier) ;
+  - effaceNotesReliees : vrai (par défaut) pour qu'un chiffre placé soit retiré
+                         des notes des cases reliées ;
+  - pave               : vrai pour un pavé de chiffres sous la grille (écrans
+                         tactiles) ; le clavier virtuel ne s'ouvre plus.
+
+  Clavier, dans la case qui a le focus (le curseur, contour bleu) :
+  - flèches : case voisine (les trous du Samouraï sont sautés) ;
+    Début/Fin : première/dernière case de la ligne, avec Ctrl de la grille ;
+  - Entrée : case vide suivante (Maj+Entrée : précédente) ;
+  - un chiffre remplace la valeur de la case (en mode notes, dans une case
+    vide, il ajoute ou retire la note) ; les autres caractères sont ignorés ;
+  - Retour arrière/Suppr : vide la case (chiffre, sinon notes) ;
+  - N : bascule le mode notes.
+  Un clic (ou un toucher) dans une case y place aussi le curseur ; les
+  boutons du pavé agissent alors sur elle comme les touches.
+
+  Méthodes publiques :
+  - load(texte[, variante]) : charge une grille dans un des formats lus par
+    analyseTexteGrilles, avec ou sans en-tête de variante ; les chiffres
+    donnés deviennent fixes et le plateau change de taille ou de variante si
+    besoin. Renvoie null, ou le message d'erreur (grille illisible ou en
+    doublon), le plateau restant alors inchangé.
+  - getState() / setState(etat) : état complet { chiffres, variante, etat },
+    `etat` étant l'instantané du modèle (valeurs, cases fixes et notes) ;
+    getState() renvoie null si l'état ne peut être lu.
+  - solve() : remplit la grille avec une solution ; renvoie le nombre de
+    solutions trouvées, compté jusqu'à 2 (0 : la grille reste inchangée).
+  - reset() : vide la grille (chiffres, notes et cases fixes).
+  - lock() : rend fixes les chiffres saisis qui ne sont pas en conflit.
+  - on(type, fonction) : abonnement aux évènements ci-dessous.
+  - destroy() : retire la table et les gestionnaires du conteneur.
+
+  Évènements, déclenchés en jQuery sur le conteneur (la fonction reçoit
+  l'évènement puis un objet de détail) :
+  - cellchange : { index, valeur, chiffre } à chaque saisie du joueur
+    (valeur 0 et chiffre '' pour une case vidée ou une saisie refusée) ;
+  - conflict   : { index, valeur, conflits } quand la saisie est en conflit ;
+    `conflits` sont ceux de GrilleSudoku.conflits() qui touchent la case ;
+  - solved     : { parResolveur } quand la grille devient pleine et correcte ;
+  - cursormove : { index, precedent } quand le curseur change de case (-1 :
+    pas de case) ;
+  - notesmode  : { actif } quand le mode notes est basculé (clavier, pavé ou
+    definitModeNotes).
+
+  Les propriétés `grille` (modèle) et `elements` (cellules <td>, dans l'ordre
+  des cases) restent accessibles : la page CreeTableauSudoku.html s'en sert
+  pour ses propres fonctions (historique, indices, sauvegardes...).
+*/
+
+/**
+ * SudokuBoard
+ * Plateau de Sudoku construit dans `pConteneur` (sélecteur, élément ou objet
+ * jQuery ; seul le premier élément est utilisé) avec les options décrites
+ * ci-dessus.
+ */
+class SudokuBoard {
+    constructor(pConteneur, pOptions) {
+        this.options = Object.assign({}, SudokuBoard.OPTIONS_DEFAUT, pOptions);
+        this.$conteneur = $(pConteneur).first();
+        this.numero = this.options.numero !== undefined ? this.options.numero : SudokuBoard.numeroLibre();
+        // Grille pleine dès son chargement : la compléter n'est pas une victoire.
+        this.dejaPleine = false;
+        // Indice de la case du curseur clavier (-1 : aucune).
+        this.curseur = -1;
+        this.creeTableau(this.options.chiffres, this.options.variante);
+        this.attacheEvenements();
+        this.$conteneur.data('sudoku', this);
+    }
+
+    // Premier numéro de table dont l'id (T00, T01...) n'est pas pris dans la page.
+    static numeroLibre() {
+        let n = 0;
+        while (document.getElementById('T' + String(n).padStart(2, '0')) !== null) {
+            n++;
+        }
+        return n;
+    }
+
+    // Touches de déplacement du curseur : [décalage de ligne, de colonne].
+    static get DEPLACEMENTS() {
+        return { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    }
+
+    // Ligne et colonne encodées dans l'id d'une cellule après R et C
+    // (ex. T00R03C12 -> ligne 3, colonne 12).
+    static positionCellule(pId) {
+        const vPosition = /R(\d+)C(\d+)$/.exec(pId);
+        return [Number.parseInt(vPosition[1]), Number.parseInt(vPosition[2])];
+    }
+
+    /*
+      Construction du plateau
+    */
+
+    // (Re)construit la table et le modèle pour des chiffres et une variante
+    // donnés : une ligne <tr> par ligne du plateau du modèle, une cellule <td>
+    // par position ; les positions sans case (Samouraï) sont 'hors-grille' et
+    // ne figurent pas dans `elements`.
+    creeTableau(pChiffres, pVariante) {
+        try {
+            const formatteNombre = pNombre => pNombre.toString().padStart(2, '0');
+            this.$conteneur.children('table.sudoku-plateau, .sudoku-pave').remove();
+            this.grille = new GrilleSudoku(pChiffres, pVariante);
+            const idTab = 'T' + formatteNombre(this.numero);
+            const $elemTable = $('<table>').attr('id', idTab)
+                .addClass('sudoku-plateau taille-' + this.grille.taille + ' variante-' + this.grille.variante.type);
+            const $elemTbody = $('<tbody>');
+            $elemTable.append($elemTbody);
+            for (let lig = 0; lig < this.grille.hauteurPlateau; lig++) {
+                const idTr = idTab + 'R' + formatteNombre(lig);
+                const $elemTr = $('<tr>').attr('id', idTr);
+                $elemTbody.append($elemTr);
+                for (let col = 0; col < this.grille.largeurPlateau; col++) {
+                    const $elemTd = $('<td>').attr('id', idTr + 'C' + formatteNombre(col));
+                    if (this.grille.caseEn[lig * this.grille.largeurPlateau + col] === -1) {
+                        $elemTd.addClass('hors-grille').attr('contenteditable', 'false');
+                    } else {
+                        // Un seul tabindex à 0 (la case du curseur) : Tab entre et
+                        // sort du plateau, les flèches s'y déplacent.
+                        $elemTd.addClass('sudoku-cell')
+                            .attr('contenteditable', String(this.options.editable))
+                            .attr('tabindex', '-1')
+                            .css('caretColor', 'black');
+                        if (this.options.pave) {
+                            // Le pavé remplace le clavier virtuel, qui cacherait la grille.
+                            $elemTd.attr('inputmode', 'none');
+                        }
+                    }
+                    $elemTr.append($elemTd);
+                }
+            }
+            this.$conteneur.append($elemTable);
+            this.$table = $elemTable;
+            if (this.options.pave) {
+                this.creePave();
+            }
+            this.elements = $elemTable.find('td:not(.hors-grille)').toArray();
+            $(this.elements[0]).attr('tabindex', '0');
+            this.dejaPleine = false;
+            this.curseur = -1;
+            this.traceRegions();
+            this.afficheGrille();
+        } catch (err) {
+            signaleErreur('SudokuBoard.creeTableau', err);
+        }
+    }
+
+    // Pavé sous la table : un bouton par chiffre, puis Effacer et Notes, qui
+    // agissent sur la case du curseur. Les boutons ne prennent pas le focus,
+    // qui reste à la case.
+    creePave() {
+        const g = this.grille;
+        const $vPave = $('<div>').addClass('sudoku-pave')
+            .css('--colonnes', String(g.taille <= 9 ? g.taille : g.taille / 2));
+        const $vChiffres = $('<div>').addClass('sudoku-pave-chiffres');
+        for (const vChiffre of g.chiffres) {
+            $vChiffres.append($('<button>').attr({ type: 'button', tabindex: '-1' }).addClass('sudoku-pave-chiffre')
+                .attr('data-chiffre', vChiffre).text(vChiffre));
+        }
+        const $vActions = $('<div>').addClass('sudoku-pave-actions');
+        $vActions.append($('<button>').attr({ type: 'button', tabindex: '-1' }).addClass('sudoku-pave-efface').text('Effacer'));
+        $vActions.append($('<button>').attr({ type: 'button', tabindex: '-1', 'aria-pressed': String(this.options.modeNotes) })
+            .addClass('sudoku-pave-notes').toggleClass('actif', this.options.modeNotes).text('Notes'));
+        this.$conteneur.append($vPave.append($vChiffres, $vActions));
+    }
+
+    // Case voisine de `pIndex` sur le plateau : -1 au bord ou hors grille.
+    voisine(pIndex, pDLig, pDCol) {
+        const g = this.grille;
+        const lig = g.positions[pIndex][0] + pDLig;
+        const col = g.positions[pIndex][1] + pDCol;
+        return lig < 0 || col < 0 || lig >= g.hauteurPlateau || col >= g.largeurPlateau
+            ? -1
+            : g.caseEn[lig * g.largeurPlateau + col];
+    }
+
+    traceRegions() {
+        try {
+            // Dessine les régions du modèle, en style en ligne ou en attributs pour
+            // résister aux changements de classes des cellules :
+            // - bordure épaisse entre deux carrés (ou deux zones en Jigsaw) ;
+            // - teinte des diagonales (Sudoku X) et des fenêtres (Hyper) ;
+            // - cages du Killer : data-cage liste les côtés à tracer en pointillés
+            //   (haut, bas, gauche, droite) et data-somme porte la somme, affichée
+            //   dans la première case de la cage (voir SudokuBoard.css).
+            // Les voisines se cherchent sur le plateau (voir voisine).
+            // Sur un plateau à trous (Samouraï), le tour de chaque grille est
+            // tracé en bordure épaisse, la table n'ayant pas de cadre.
+            const g = this.grille;
+            const carreDe = i => (i < 0 ? -1 : g.regionsDeCase[i].find(r => ['carré', 'zone'].includes(g.typesRegions[r])));
+            const cageDe = i => (i < 0 ? -1 : g.cageDeCase[i]);
+            const vTrous = g.nbCases < g.hauteurPlateau * g.largeurPlateau;
+            const vBords = [[-1, 0, 'border-top-width'], [0, -1, 'border-left-width'], [1, 0, 'border-bottom-width'], [0, 1, 'border-right-width']];
+            for (let i = 0; i < g.nbCases; i++) {
+                const $vCell = $(this.elements[i]);
+                for (const [dLig, dCol, vPropriete] of vBords) {
+                    const j = this.voisine(i, dLig, dCol);
+                    if (j === -1 ? vTrous : dLig + dCol < 0 && carreDe(i) !== carreDe(j)) {
+                        $vCell.css(vPropriete, '4px');
+                    }
+                }
+                if (g.regionsDeCase[i].some(r => ['diagonale', 'fenêtre'].includes(g.typesRegions[r]))) {
+                    $vCell.css('background-image', 'linear-gradient(rgba(70, 110, 255, 0.22), rgba(70, 110, 255, 0.22))');
+                }
+                if (cageDe(i) >= 0) {
+                    const vCotes = [];
+                    if (cageDe(this.voisine(i, -1, 0)) !== cageDe(i)) {
+                        vCotes.push('haut');
+                    }
+                    if (cageDe(this.voisine(i, 1, 0)) !== cageDe(i)) {
+                        vCotes.push('bas');
+                    }
+                    if (cageDe(this.voisine(i, 0, -1)) !== cageDe(i)) {
+                        vCotes.push('gauche');
+                    }
+                    if (cageDe(this.voisine(i, 0, 1)) !== cageDe(i)) {
+                        vCotes.push('droite');
+                    }
+                    $vCell.attr('data-cage', vCotes.join(' '));
+                    const vCage = g.cages[cageDe(i)];
+                    if (Math.min(...vCage.cases) === i) {
+                        $vCell.attr('data-somme', vCage.somme);
+                    }
+                }
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.traceRegions', err);
+        }
+    }
+
+    // Gestionnaires délégués au conteneur : ils restent valables quand la
+    // table est reconstruite (changement de taille ou de variante).
+    attacheEvenements() {
+        const vPlateau = this;
+        this.$conteneur.on('input.sudoku', 'td:not(.hors-grille)', function () {
+            vPlateau.saisieCase(this);
+        });
+        this.$conteneur.on('keydown.sudoku', 'td:not(.hors-grille)', function (e) {
+            vPlateau.toucheCase(e, this);
+        });
+        this.$conteneur.on('focusin.sudoku', 'td:not(.hors-grille)', function () {
+            vPlateau.placeCurseur(vPlateau.indexCase(this));
+        });
+        this.$conteneur.on('mousedown.sudoku', '.sudoku-pave button', function (e) {
+            e.preventDefault();
+        });
+        this.$conteneur.on('click.sudoku', '.sudoku-pave button', function () {
+            vPlateau.touchePave(this);
+        });
+    }
+
+    /*
+      Rendu du modèle
+    */
+
+    // Indice de la cellule dans `elements` et dans le modèle.
+    indexCase(pCell) {
+        const position = SudokuBoard.positionCellule($(pCell).attr('id'));
+        return this.grille.caseEn[position[0] * this.grille.largeurPlateau + position[1]];
+    }
+
+    // Texte saisi dans la cellule, sans les notes affichées.
+    texteCase(pCell) {
+        return $(pCell).clone().find('.notes').remove().end().text();
+    }
+
+    // Recopie les valeurs (ou les notes) du modèle dans les cellules <td>.
+    afficheGrille() {
+        for (let i = 0; i < this.grille.nbCases; i++) {
+            this.afficheCase(i);
+        }
+    }
+
+    afficheCase(pIndex) {
+        try {
+            // Une case remplie affiche son chiffre ; une case vide affiche ses notes
+            // dans une mini-grille non éditable (le curseur reste hors des notes, la
+            // saisie normale s'ajoute donc à côté et reste lisible par texteCase).
+            const g = this.grille;
+            const $vCell = $(this.elements[pIndex]);
+            const vNotes = g.notes[pIndex];
+            if (g.valeur(pIndex) !== 0 || vNotes === 0) {
+                $vCell.text(g.chiffre(pIndex));
+                return;
+            }
+            // Les notes sont disposées comme les cases d'un carré (2 colonnes en
+            // 4x4, 3 en 6x6 et 9x9, 4 en 16x16).
+            const $vNotes = $('<div>').addClass('notes').attr('contenteditable', 'false')
+                .css('grid-template-columns', 'repeat(' + g.largeurCarre + ', 1fr)');
+            for (let v = 1; v <= g.taille; v++) {
+                $vNotes.append($('<span>').text(vNotes & (1 << (v - 1)) ? g.chiffres[v - 1] : ''));
+            }
+            $vCell.empty().append($vNotes);
+        } catch (err) {
+            signaleErreur('SudokuBoard.afficheCase', err);
+        }
+    }
+
+    // Classes et éditabilité des cellules d'après le modèle, revues sur toute
+    // la grille à chaque saisie : cases fixes verrouillées, chiffres en
+    // conflit en erreur, autres chiffres valides. Toutes les cases d'un
+    // conflit (données comprises) portent data-conflit et la région en cause
+    // est entourée ; l'un et l'autre disparaissent avec le conflit.
+    classesDepuisModele() {
+        try {
+            const g = this.grille;
+            const vConflits = g.conflits();
+            const vEnConflit = new Set(vConflits.flatMap(c => c.cases));
+            for (let i = 0; i < g.nbCases; i++) {
+                const $vCell = $(this.elements[i]);
+                $vCell.attr('data-conflit', vEnConflit.has(i) ? '' : null);
+                if (g.fixes[i]) {
+                    $vCell.removeClass().addClass('sudoku-cell-readonly').attr('contentEditable', 'false');
+                } else if (g.valeur(i) !== 0) {
+                    $vCell.removeClass().addClass(vEnConflit.has(i) ? 'error' : 'valid');
+                    $vCell.attr('contentEditable', String(this.options.editable));
+                } else {
+                    $vCell.removeClass().addClass('sudoku-cell').attr('contentEditable', String(this.options.editable));
+                }
+            }
+            this.entoureRegionsConflits(vConflits);
+        } catch (err) {
+            signaleErreur('SudokuBoard.classesDepuisModele', err);
+        }
+    }
+
+    // Entoure d'un trait rouge (box-shadow en ligne, côté par côté) le tour de
+    // chaque région en conflit : ligne, colonne, carré, diagonale, zone ou
+    // cage. Une case de plusieurs de ces régions cumule leurs côtés.
+    entoureRegionsConflits(pConflits) {
+        const g = this.grille;
+        const vOmbres = { haut: 'inset 0 3px 0 red', bas: 'inset 0 -3px 0 red', gauche: 'inset 3px 0 0 red', droite: 'inset -3px 0 0 red' };
+        const vCotes = new Map();
+        for (const vConflit of pConflits) {
+            const vRegion = new Set(vConflit.region >= 0 ? g.regions[vConflit.region] : g.cages[vConflit.cage].cases);
+            for (const i of vRegion) {
+                const vCotesCase = vCotes.get(i) || new Set();
+                for (const [dLig, dCol, vCote] of [[-1, 0, 'haut'], [1, 0, 'bas'], [0, -1, 'gauche'], [0, 1, 'droite']]) {
+                    if (!vRegion.has(this.voisine(i, dLig, dCol))) {
+                        vCotesCase.add(vCote);
+                    }
+                }
+                vCotes.set(i, vCotesCase);
+            }
+        }
+        for (let i = 0; i < g.nbCases; i++) {
+            $(this.elements[i]).css('box-shadow', vCotes.has(i) ? [...vCotes.get(i)].map(c => vOmbres[c]).join(', ') : '');
+        }
+    }
+
+    /*
+      Saisie du joueur
+    */
+
+    saisieCase(pCell) {
+        try {
+            // Appelée lorsqu'une cellule est modifiée par le joueur : met le
+            // modèle à jour, puis les classes des cellules ('error', 'valid' ou
+            // 'sudoku-cell' si vide) et déclenche les évènements.
+            const g = this.grille;
+            const $vCell = $(pCell);
+            // Empêche la saisie multilignes (touche Entrée)
+            if (this.texteCase(pCell).indexOf('\n') !== -1) {
+                $vCell.text('');
+            }
+            // En 16x16, une lettre tapée en minuscule est prise en majuscule.
+            const vTape = this.texteCase(pCell);
+            if (vTape.length === 1 && g.chiffres.includes(vTape.toUpperCase()) && !g.chiffres.includes(vTape)) {
+                $vCell.text(vTape.toUpperCase());
+            }
+            const value = this.texteCase(pCell);
+            const index = this.indexCase(pCell);
+            // Le modèle ne retient que les chiffres autorisés ; une saisie
+            // invalide laisse la case vide dans le modèle.
+            g.placeChiffre(index, value.length === 1 ? value : '');
+            const valeur = g.valeur(index);
+            if (valeur !== 0) {
+                // Un chiffre placé remplace les notes de la case et, si l'option est
+                // active, est retiré des notes des cases reliées.
+                g.notes[index] = 0;
+                if ($vCell.find('.notes').length > 0) {
+                    $vCell.text(value);
+                }
+                if (this.options.effaceNotesReliees) {
+                    for (const j of g.retireNoteReliees(index, valeur)) {
+                        this.afficheCase(j);
+                    }
+                }
+            } else if (value === '') {
+                this.afficheCase(index);
+            }
+            // Toute la grille est revue : un conflit levé en corrigeant l'une
+            // de ses cases l'est aussi pour les autres.
+            this.classesDepuisModele();
+            const vDetail = { index, valeur, chiffre: g.chiffre(index) };
+            const vConflits = g.conflits().filter(c => c.cases.includes(index));
+            if (value === '') {
+                this.declenche('cellchange', vDetail);
+            } else if (valeur === 0 || vConflits.length > 0) {
+                // Saisie refusée (pas un chiffre autorisé unique) ou en conflit.
+                $vCell.removeClass().addClass('error');
+                this.declenche('cellchange', vDetail);
+                this.declenche('conflict', { index, valeur, conflits: vConflits });
+            } else {
+                this.declenche('cellchange', vDetail);
+                this.verifieResolue(false);
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.saisieCase', err);
+        }
+    }
+
+    toucheCase(e, pCell) {
+        try {
+            // Clavier dans une case (voir l'en-tête) : les touches gérées ici ne
+            // vont pas jusqu'au contentEditable, qui ne reçoit donc jamais plus
+            // d'un caractère ; la saisie par 'input' reste pour les claviers
+            // virtuels qui n'envoient pas de touche identifiable.
+            const g = this.grille;
+            const index = this.indexCase(pCell);
+            const vTouche = e.key || '';
+            if (e.altKey) {
+                return;
+            }
+            if (vTouche in SudokuBoard.DEPLACEMENTS && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.placeCurseur(this.caseVoisine(index, ...SudokuBoard.DEPLACEMENTS[vTouche]));
+                return;
+            }
+            if (vTouche === 'Home' || vTouche === 'End') {
+                e.preventDefault();
+                this.placeCurseur(this.caseExtreme(index, vTouche === 'End', e.ctrlKey || e.metaKey));
+                return;
+            }
+            if (e.ctrlKey || e.metaKey) {
+                return;
+            }
+            if (vTouche === 'Enter') {
+                e.preventDefault();
+                const j = this.caseVideSuivante(index, e.shiftKey ? -1 : 1);
+                if (j !== -1) {
+                    this.placeCurseur(j);
+                }
+                return;
+            }
+            const vChiffre = vTouche.length === 1 ? vTouche.toUpperCase() : '';
+            const v = vChiffre !== '' ? g.valeurDe(vChiffre) : 0;
+            if (v === 0 && vChiffre === 'N') {
+                e.preventDefault();
+                this.definitModeNotes(!this.options.modeNotes);
+                return;
+            }
+            if (vTouche !== 'Backspace' && vTouche !== 'Delete' && vChiffre === '') {
+                return;
+            }
+            e.preventDefault();
+            if (vTouche === 'Backspace' || vTouche === 'Delete') {
+                this.videCase(index);
+            } else if (v > 0) {
+                this.entreChiffre(index, vChiffre);
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.toucheCase', err);
+        }
+    }
+
+    touchePave(pBouton) {
+        try {
+            // Bouton du pavé : Notes bascule le mode notes, les autres agissent
+            // sur la case du curseur (sans curseur, rien ne se passe).
+            const $vBouton = $(pBouton);
+            if ($vBouton.hasClass('sudoku-pave-notes')) {
+                this.definitModeNotes(!this.options.modeNotes);
+                return;
+            }
+            if (this.curseur < 0) {
+                return;
+            }
+            if ($vBouton.hasClass('sudoku-pave-efface')) {
+                this.videCase(this.curseur);
+            } else {
+                this.entreChiffre(this.curseur, $vBouton.attr('data-chiffre'));
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.touchePave', err);
+        }
+    }
+
+    // Chiffre tapé (clavier ou pavé) dans une case : il remplace sa valeur ou,
+    // en mode notes, bascule la note d'une case vide.
+    entreChiffre(pIndex, pChiffre) {
+        try {
+            const g = this.grille;
+            const v = g.valeurDe(pChiffre);
+            if (v === 0 || !this.options.editable || g.fixes[pIndex]) {
+                return;
+            }
+            if (this.options.modeNotes) {
+                if (g.valeur(pIndex) === 0) {
+                    g.basculeNote(pIndex, v);
+                    this.afficheCase(pIndex);
+                    this.declenche('cellchange', { index: pIndex, valeur: 0, chiffre: '' });
+                }
+            } else if (v !== g.valeur(pIndex)) {
+                $(this.elements[pIndex]).text(pChiffre);
+                this.saisieCase(this.elements[pIndex]);
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.entreChiffre', err);
+        }
+    }
+
+    // Vide une case : son chiffre s'il y en a un, sinon ses notes.
+    videCase(pIndex) {
+        try {
+            const g = this.grille;
+            const $vCell = $(this.elements[pIndex]);
+            if (!this.options.editable || g.fixes[pIndex]) {
+                return;
+            }
+            if (g.valeur(pIndex) !== 0) {
+                $vCell.text('');
+                this.saisieCase(this.elements[pIndex]);
+            } else if (g.notes[pIndex] !== 0) {
+                g.notes[pIndex] = 0;
+                this.afficheCase(pIndex);
+                this.declenche('cellchange', { index: pIndex, valeur: 0, chiffre: '' });
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.videCase', err);
+        }
+    }
+
+    // Active ou non le mode notes (clavier, pavé ou page) et le signale.
+    definitModeNotes(pActif) {
+        try {
+            this.options.modeNotes = pActif;
+            this.$conteneur.find('.sudoku-pave-notes').toggleClass('actif', pActif).attr('aria-pressed', String(pActif));
+            this.declenche('notesmode', { actif: pActif });
+        } catch (err) {
+            signaleErreur('SudokuBoard.definitModeNotes', err);
+        }
+    }
+
+    /*
+      Curseur clavier
+    */
+
+    // Met le curseur (et le focus) sur la case `pIndex`.
+    placeCurseur(pIndex) {
+        try {
+            if (pIndex < 0 || pIndex >= this.grille.nbCases) {
+                return;
+            }
+            const vPrecedent = this.curseur;
+            if (vPrecedent !== pIndex) {
+                if (vPrecedent >= 0) {
+                    $(this.elements[vPrecedent]).removeAttr('data-curseur').attr('tabindex', '-1');
+                } else {
+                    this.$table.find('td[tabindex="0"]').attr('tabindex', '-1');
+                }
+                this.curseur = pIndex;
+                $(this.elements[pIndex]).attr('data-curseur', '').attr('tabindex', '0');
+            }
+            if (document.activeElement !== this.elements[pIndex]) {
+                this.elements[pIndex].focus();
+            }
+            if (vPrecedent !== pIndex) {
+                this.declenche('cursormove', { index: pIndex, precedent: vPrecedent });
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.placeCurseur', err);
+        }
+    }
+
+    // Case atteinte depuis `pIndex` en se décalant de (dLig, dCol) sur le
+    // plateau ; les trous sont sautés et le curseur reste au bord.
+    caseVoisine(pIndex, pDLig, pDCol) {
+        const g = this.grille;
+        let [lig, col] = g.positions[pIndex];
+        for (;;) {
+            lig += pDLig;
+            col += pDCol;
+            if (lig < 0 || col < 0 || lig >= g.hauteurPlateau || col >= g.largeurPlateau) {
+                return pIndex;
+            }
+            const j = g.caseEn[lig * g.largeurPlateau + col];
+            if (j !== -1) {
+                return j;
+            }
+        }
+    }
+
+    // Première (ou dernière, `pFin`) case de la ligne du plateau de `pIndex`,
+    // ou de toute la grille avec `pGrille`.
+    caseExtreme(pIndex, pFin, pGrille) {
+        const g = this.grille;
+        if (pGrille) {
+            return pFin ? g.nbCases - 1 : 0;
+        }
+        const lig = g.positions[pIndex][0];
+        const vLigne = g.caseEn.slice(lig * g.largeurPlateau, (lig + 1) * g.largeurPlateau).filter(j => j !== -1);
+        return pFin ? vLigne[vLigne.length - 1] : vLigne[0];
+    }
+
+    // Case vide suivante (`pSens` 1) ou précédente (-1) après `pIndex`, en
+    // reprenant au début (ou à la fin) ; -1 si la grille est pleine.
+    caseVideSuivante(pIndex, pSens) {
+        const g = this.grille;
+        for (let k = 1; k <= g.nbCases; k++) {
+            const j = ((pIndex + pSens * k) % g.nbCases + g.nbCases) % g.nbCases;
+            if (g.valeur(j) === 0 && !g.fixes[j]) {
+                return j;
+            }
+        }
+        return -1;
+    }
+
+    // Déclenche 'solved' si la grille est pleine et correcte (et ne l'était
+    // pas déjà à son chargement). Renvoie vrai dans ce cas.
+    verifieResolue(pParResolveur) {
+        if (this.dejaPleine || !this.grille.estPleine() || !this.grille.estCoherente()) {
+            return false;
+        }
+        this.declenche('solved', { parResolveur: pParResolveur });
+        return true;
+    }
+
+    declenche(pType, pDetail) {
+        this.$conteneur.trigger(pType, [pDetail]);
+    }
+
+    /*
+      API publique
+    */
+
+    load(pTexte, pVariante) {
+        try {
+            const vLecture = lisTexteGrilles(pTexte, this.grille.chiffres, pVariante || this.grille.variante);
+            if (vLecture.erreur !== null) {
+                return vLecture.erreur;
+            }
+            const vGrille = vLecture.grilles[0];
+            const vTest = new GrilleSudoku(vLecture.chiffres, vLecture.variante);
+            vTest.chargeChaine(vGrille.valeurs);
+            if (!vTest.estCoherente()) {
+                return vTest.decritConflit(vTest.conflits()[0]);
+            }
+            if (vTest.chiffres !== this.grille.chiffres || JSON.stringify(vTest.variante) !== JSON.stringify(this.grille.variante)) {
+                this.creeTableau(vTest.chiffres, vTest.variante);
+            }
+            this.grille.chargeChaine(vGrille.valeurs);
+            for (let i = 0; i < this.grille.nbCases; i++) {
+                this.grille.fixes[i] = this.grille.valeur(i) !== 0;
+            }
+            this.dejaPleine = this.grille.estPleine();
+            this.afficheGrille();
+            this.classesDepuisModele();
+            return null;
+        } catch (err) {
+            signaleErreur('SudokuBoard.load', err);
+            return String(err);
+        }
+    }
+
+    getState() {
+        try {
+            return {
+                chiffres: this.grille.chiffres,
+                variante: this.grille.variante,
+                etat: this.grille.instantane()
+            };
+        } catch (err) {
+            signaleErreur('SudokuBoard.getState', err);
+            return null;
+        }
+    }
+
+    setState(pEtat) {
+        try {
+            if (pEtat.chiffres !== this.grille.chiffres || JSON.stringify(pEtat.variante) !== JSON.stringify(this.grille.variante)) {
+                this.creeTableau(pEtat.chiffres, pEtat.variante);
+            }
+            this.grille.restaureInstantane(pEtat.etat);
+            this.afficheGrille();
+            this.classesDepuisModele();
+        } catch (err) {
+            signaleErreur('SudokuBoard.setState', err);
+        }
+    }
+
+    solve() {
+        try {
+            if (!this.grille.estCoherente()) {
+                return 0;
+            }
+            const vRecherche = compteSolutions(this.grille, 2);
+            if (vRecherche.nombre === 0) {
+                return 0;
+            }
+            this.grille.restaure(vRecherche.solution);
+            this.afficheGrille();
+            this.classesDepuisModele();
+            this.verifieResolue(true);
+            return vRecherche.nombre;
+        } catch (err) {
+            signaleErreur('SudokuBoard.solve', err);
+            return 0;
+        }
+    }
+
+    reset() {
+        try {
+            this.grille.vide();
+            this.dejaPleine = false;
+            this.afficheGrille();
+            this.classesDepuisModele();
+        } catch (err) {
+            signaleErreur('SudokuBoard.reset', err);
+        }
+    }
+
+    lock() {
+        try {
+            // Seuls les chiffres sans conflit sont verrouillés (comme les données
+            // de départ d'une grille chargée).
+            const g = this.grille;
+            const vEnConflit = new Set(g.conflits().flatMap(c => c.cases));
+            for (let i = 0; i < g.nbCases; i++) {
+                if (g.valeur(i) !== 0 && !vEnConflit.has(i)) {
+                    g.fixes[i] = true;
+                    $(this.elements[i]).removeClass().addClass('sudoku-cell-readonly').attr('contentEditable', 'false');
+                }
+            }
+        } catch (err) {
+            signaleErreur('SudokuBoard.lock', err);
+        }
+    }
+
+    on(pType, pFonction) {
+        // Espace de noms .sudoku : destroy() retire aussi ces abonnements.
+        this.$conteneur.on(pType.split(' ').map(t => t + '.sudoku').join(' '), pFonction);
+        return this;
+    }
+
+    destroy() {
+        this.$conteneur.off('.sudoku');
+        this.$conteneur.children('table.sudoku-plateau, .sudoku-pave').remove();
+        this.$conteneur.removeData('sudoku');
+    }
+}
+
+SudokuBoard.OPTIONS_DEFAUT = {
+    chiffres: '123456789',
+    variante: { type: 'classique' },
+    editable: true,
+    modeNotes: false,
+    effaceNotesReliees: true,
+    pave: false
+};
+
+/*
+  Plugin jQuery : $(el).sudoku(options) crée un plateau dans chaque élément
+  (ou renvoie celui qui existe déjà) ; $(el).sudoku('methode', args...)
+  appelle une méthode publique du plateau du premier élément et renvoie son
+  résultat (ex. $(el).sudoku('getState')).
+*/
+$.fn.sudoku = function (pOptions, ...pArguments) {
+    if (typeof pOptions === 'string') {
+        const vPlateau = this.first().data('sudoku');
+        if (vPlateau === undefined || !SudokuBoard.METHODES_PUBLIQUES.includes(pOptions)) {
+            $.error('sudoku : méthode « ' + pOptions + ' » inconnue ou plateau non créé');
+        }
+        return vPlateau[pOptions](...pArguments);
+    }
+    return this.each(function () {
+        if ($(this).data('sudoku') === undefined) {
+            new SudokuBoard(this, pOptions);
+        }
+    });
+};
+SudokuBoard.METHODES_PUBLIQUES = ['load', 'getState', 'setState', 'solve', 'reset', 'lock', 'on', 'destroy'];
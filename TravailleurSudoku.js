@@ -0,0 +1,33 @@
+/*
+  TravailleurSudoku.js
+
+  Description (FR):
+  ------------------
+  Web Worker des calculs longs de la page CreeTableauSudoku.html :
+  résolution (d'un coup ou pas à pas), comptage des solutions et génération
+  de grilles. Les calculs eux-mêmes sont ceux de executeCalcul
+  (MoteurSudoku.js) ; ce fichier ne fait que relayer les messages, pour que
+  la page reste utilisable pendant le calcul.
+
+  Messages reçus : { id, demande } (demande de executeCalcul).
+  Messages envoyés, avec le même `id` :
+  - { id, type: 'progression', texte, avance } pendant le calcul ;
+  - { id, type: 'resultat', resultat } à la fin ;
+  - { id, type: 'erreur', message } si le calcul échoue.
+  La page interrompt un calcul (Annuler, délai dépassé) en mettant fin au
+  worker, qu'elle recrée au calcul suivant.
+*/
+
+importScripts('MoteurSudoku.js');
+
+self.onmessage = function (e) {
+    const vId = e.data.id;
+    try {
+        const resultat = executeCalcul(e.data.demande, (pTexte, pAvance) => {
+            self.postMessage({ id: vId, type: 'progression', texte: pTexte, avance: pAvance });
+        });
+        self.postMessage({ id: vId, type: 'resultat', resultat });
+    } catch (err) {
+        self.postMessage({ id: vId, type: 'erreur', message: err instanceof Error ? err.name + ' ' + err.message : String(err) });
+    }
+};